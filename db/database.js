@@ -1,10 +1,19 @@
-const { Pool } = require('pg');
+const { Pool, Client } = require('pg');
+
+// ON CONFLICT assignments for adding a user who may have been removed: a removed user comes
+// back without their old API key (a new one is issued), an active one keeps theirs
+const REACTIVATE_SET = `is_active = TRUE,
+                 secret_hash = CASE WHEN users.is_active THEN users.secret_hash END,
+                 secret_updated_at = CASE WHEN users.is_active THEN users.secret_updated_at ELSE CURRENT_TIMESTAMP END`;
 
 class Database {
     constructor() {
-        this.pool = new Pool({
+        this.connectionOptions = {
             connectionString: process.env.DATABASE_URL,
-            ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
+            ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+        };
+        this.pool = new Pool({
+            ...this.connectionOptions,
             max: 20,
             idleTimeoutMillis: 30000,
             connectionTimeoutMillis: 2000,
@@ -13,84 +22,115 @@ class Database {
         this.pool.on('error', (err) => {
             console.error('Unexpected database error:', err);
         });
+
+        // Called after every query with (operation, seconds, ok), set by the server for metrics
+        this.onQuery = null;
     }
 
     async query(text, params) {
+        const started = process.hrtime.bigint();
         try {
             const res = await this.pool.query(text, params);
+            this.observeQuery(text, started, true);
             return res;
         } catch (error) {
+            this.observeQuery(text, started, false);
             console.error('[DB ERROR]', { text, error: error.message });
             throw error;
         }
     }
 
-    // Check if username is whitelisted
-    async isUserWhitelisted(username) {
+    observeQuery(text, started, ok) {
+        if (!this.onQuery) return;
+        // First keyword (select, insert, ...) keeps the label set small
+        const operation = text.trim().split(/\s+/)[0].toLowerCase();
+        this.onQuery(operation, Number(process.hrtime.bigint() - started) / 1e9, ok);
+    }
+
+    // Connections in the pool: { total, idle, waiting } (waiting = queries queued for a connection)
+    poolState() {
+        return {
+            total: this.pool.totalCount,
+            idle: this.pool.idleCount,
+            waiting: this.pool.waitingCount
+        };
+    }
+
+    // Readiness probe: can a query get a connection and run right now?
+    async ping() {
         try {
-            const result = await this.query(
-                'SELECT is_active FROM users WHERE username = $1',
-                [username]
-            );
-            return result.rows.length > 0 && result.rows[0].is_active;
+            await this.query('SELECT 1');
+            return true;
         } catch (error) {
             return false;
         }
     }
 
-    // Check if user is a broadcaster
-    async isBroadcaster(username) {
+    // Check if username is whitelisted
+    async isUserWhitelisted(username) {
         try {
             const result = await this.query(
-                'SELECT is_broadcaster FROM users WHERE username = $1 AND is_active = TRUE',
+                'SELECT is_active FROM users WHERE username = $1',
                 [username]
             );
-            return result.rows.length > 0 && result.rows[0].is_broadcaster;
+            return result.rows.length > 0 && result.rows[0].is_active;
         } catch (error) {
             return false;
         }
     }
 
-    // Check if user is an admin
-    async isAdmin(username) {
+    // Get an active user's role (null if not whitelisted)
+    async getUserRole(username) {
         try {
             const result = await this.query(
-                'SELECT is_admin FROM users WHERE username = $1 AND is_active = TRUE',
+                'SELECT role FROM users WHERE username = $1 AND is_active = TRUE',
                 [username]
             );
-            return result.rows.length > 0 && result.rows[0].is_admin;
+            return result.rows.length > 0 ? result.rows[0].role : null;
         } catch (error) {
-            return false;
+            return null;
         }
     }
 
-    // Add user (receiver only by default)
-    async addUser(username, isBroadcaster = false) {
+    // Set an active user's role, returns false if the user isn't whitelisted
+    async setUserRole(username, role) {
         const result = await this.query(
-            `INSERT INTO users (username, is_broadcaster) VALUES ($1, $2) 
-             ON CONFLICT (username) DO UPDATE SET is_active = TRUE 
-             RETURNING id`,
-            [username, isBroadcaster]
+            'UPDATE users SET role = $2 WHERE username = $1 AND is_active = TRUE RETURNING id',
+            [username, role]
+        );
+        return result.rowCount > 0;
+    }
+
+    // Add user. role null keeps an active user's role and adds everyone else as a viewer; a
+    // removed user never gets their old role back unless it is asked for. Returns { id, role }.
+    async addUser(username, role = null) {
+        const result = await this.query(
+            `INSERT INTO users (username, role) VALUES ($1, COALESCE($2::VARCHAR, 'viewer')) 
+             ON CONFLICT (username) DO UPDATE SET ${REACTIVATE_SET},
+                 role = CASE WHEN users.is_active AND $2::VARCHAR IS NULL THEN users.role ELSE EXCLUDED.role END
+             RETURNING id, role`,
+            [username, role]
         );
         return result.rows[0];
     }
 
-    // Add broadcaster (convenience method)
+    // Add broadcaster (convenience method): viewers and removed users become publishers, higher roles are kept
     async addBroadcaster(username) {
         const result = await this.query(
-            `INSERT INTO users (username, is_broadcaster) VALUES ($1, TRUE) 
-             ON CONFLICT (username) DO UPDATE SET is_broadcaster = TRUE, is_active = TRUE 
-             RETURNING id`,
+            `INSERT INTO users (username, role) VALUES ($1, 'publisher') 
+             ON CONFLICT (username) DO UPDATE SET ${REACTIVATE_SET},
+                 role = CASE WHEN users.is_active AND users.role <> 'viewer' THEN users.role ELSE 'publisher' END
+             RETURNING id, role`,
             [username]
         );
         return result.rows[0];
     }
 
-    // Add admin (full permissions)
+    // Add admin (owner role, full permissions)
     async addAdmin(username) {
         const result = await this.query(
-            `INSERT INTO users (username, is_broadcaster, is_admin) VALUES ($1, TRUE, TRUE) 
-             ON CONFLICT (username) DO UPDATE SET is_broadcaster = TRUE, is_admin = TRUE, is_active = TRUE 
+            `INSERT INTO users (username, role) VALUES ($1, 'owner') 
+             ON CONFLICT (username) DO UPDATE SET role = 'owner', ${REACTIVATE_SET}
              RETURNING id`,
             [username]
         );
@@ -103,16 +143,65 @@ class Database {
         return true;
     }
 
-    // Revoke broadcaster permission (user stays as receiver)
+    // Revoke broadcaster permission (publisher back to viewer), returns false if the user isn't a publisher
     async removeBroadcaster(username) {
-        await this.query('UPDATE users SET is_broadcaster = FALSE WHERE username = $1', [username]);
+        const result = await this.query(
+            `UPDATE users SET role = 'viewer' WHERE username = $1 AND role = 'publisher' RETURNING id`,
+            [username]
+        );
+        return result.rowCount > 0;
+    }
+
+    // ===== Credential Methods =====
+
+    // Get the stored secret hash for an active user (null if none)
+    async getUserSecretHash(username) {
+        try {
+            const result = await this.query(
+                'SELECT secret_hash FROM users WHERE username = $1 AND is_active = TRUE',
+                [username]
+            );
+            return result.rows.length > 0 ? result.rows[0].secret_hash : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Get the secret hash of an active user and when it last changed (null if not active)
+    async getUserCredential(username) {
+        const result = await this.query(
+            'SELECT secret_hash, secret_updated_at FROM users WHERE username = $1 AND is_active = TRUE',
+            [username]
+        );
+        if (result.rows.length === 0) return null;
+        const row = result.rows[0];
+        return { secretHash: row.secret_hash, secretUpdatedAt: row.secret_updated_at };
+    }
+
+    // Store a new secret hash for a user (rotation)
+    async setUserSecret(username, secretHash) {
+        const result = await this.query(
+            `UPDATE users SET secret_hash = $2, secret_updated_at = CURRENT_TIMESTAMP
+             WHERE username = $1 AND is_active = TRUE
+             RETURNING id`,
+            [username, secretHash]
+        );
+        return result.rowCount > 0;
+    }
+
+    // Revoke a user's secret (user stays whitelisted but can't log in)
+    async revokeUserSecret(username) {
+        await this.query(
+            'UPDATE users SET secret_hash = NULL, secret_updated_at = CURRENT_TIMESTAMP WHERE username = $1',
+            [username]
+        );
         return true;
     }
 
     // Get all users
     async getAllUsers() {
         const result = await this.query(
-            'SELECT id, username, is_broadcaster, created_at FROM users WHERE is_active = TRUE ORDER BY created_at DESC'
+            'SELECT id, username, role, created_at FROM users WHERE is_active = TRUE ORDER BY created_at DESC'
         );
         return result.rows;
     }
@@ -120,7 +209,7 @@ class Database {
     // Get all broadcasters
     async getAllBroadcasters() {
         const result = await this.query(
-            'SELECT id, username, created_at FROM users WHERE is_broadcaster = TRUE AND is_active = TRUE ORDER BY created_at DESC'
+            `SELECT id, username, role, created_at FROM users WHERE role <> 'viewer' AND is_active = TRUE ORDER BY created_at DESC`
         );
         return result.rows;
     }
@@ -141,15 +230,55 @@ class Database {
         await this.pool.end();
     }
 
+    // ===== Cluster Bus (LISTEN/NOTIFY) =====
+
+    // Open a dedicated connection listening on a channel (a pooled connection would drop the
+    // LISTEN when released). onLost is called once if the connection fails or ends; returns the client.
+    async listen(channel, { onNotification, onLost }) {
+        const client = new Client(this.connectionOptions);
+        let lost = false;
+        const handleLost = (error) => {
+            if (lost) return;
+            lost = true;
+            client.end().catch(() => {});
+            onLost(error);
+        };
+        client.on('error', handleLost);
+        client.on('end', () => handleLost(null));
+        client.on('notification', (msg) => {
+            if (msg.channel === channel) onNotification(msg.payload);
+        });
+
+        try {
+            await client.connect();
+            await client.query(`LISTEN ${client.escapeIdentifier(channel)}`);
+        } catch (error) {
+            lost = true;
+            client.end().catch(() => {});
+            throw error;
+        }
+        // Closing it on purpose (end()) shouldn't count as a lost connection
+        const end = client.end.bind(client);
+        client.end = () => {
+            lost = true;
+            return end();
+        };
+        return client;
+    }
+
+    async notify(channel, payload) {
+        await this.query('SELECT pg_notify($1, $2)', [channel, payload]);
+    }
+
     // ===== Connection Events Methods =====
 
-    // Log a connection event
-    async logConnectionEvent(username, ip, eventType, reason = null) {
+    // Log a connection event. ip is the resolved client address, socketIp the peer that connected (a proxy, or the same address)
+    async logConnectionEvent(username, ip, eventType, reason = null, socketIp = null) {
         try {
             await this.query(
-                `INSERT INTO connection_events (username, ip, event_type, disconnect_reason) 
-                 VALUES ($1, $2, $3, $4)`,
-                [username, ip, eventType, reason]
+                `INSERT INTO connection_events (username, ip, event_type, disconnect_reason, socket_ip) 
+                 VALUES ($1, $2, $3, $4, $5)`,
+                [username, ip, eventType, reason, socketIp]
             );
         } catch (error) {
             console.error('[DB ERROR] Failed to log connection event:', error.message);
@@ -160,7 +289,7 @@ class Database {
     async getConnectionHistory(username, limit = 50) {
         try {
             const result = await this.query(
-                `SELECT id, ip, event_type, disconnect_reason, created_at 
+                `SELECT id, ip, socket_ip, event_type, disconnect_reason, created_at 
                  FROM connection_events 
                  WHERE username = $1 
                  ORDER BY created_at DESC 
@@ -203,7 +332,7 @@ class Database {
     async getRecentEvents(limit = 20) {
         try {
             const result = await this.query(
-                `SELECT id, username, ip, event_type, disconnect_reason, created_at 
+                `SELECT id, username, ip, socket_ip, event_type, disconnect_reason, created_at 
                  FROM connection_events 
                  ORDER BY created_at DESC 
                  LIMIT $1`,
@@ -238,13 +367,14 @@ class Database {
         }
     }
 
-    // Cleanup old events (older than 7 days) - run weekly
-    async cleanupOldEvents() {
+    // Cleanup old events (older than retentionDays) - run daily
+    async cleanupOldEvents(retentionDays = 7) {
         try {
             const result = await this.query(
                 `DELETE FROM connection_events 
-                 WHERE created_at < NOW() - INTERVAL '7 days'
-                 RETURNING id`
+                 WHERE created_at < NOW() - ($1 || ' days')::INTERVAL
+                 RETURNING id`,
+                [retentionDays.toString()]
             );
             const deleted = result.rowCount || 0;
             if (deleted > 0) {
@@ -256,6 +386,307 @@ class Database {
             return 0;
         }
     }
+
+    // ===== Broadcast History Methods =====
+
+    // Store a formatted broadcast, returns its id (null if it couldn't be stored)
+    async saveBroadcast(sender, source, message) {
+        try {
+            const result = await this.query(
+                `INSERT INTO broadcasts (sender, source, message) VALUES ($1, $2, $3) RETURNING id`,
+                [sender, source, message]
+            );
+            return Number(result.rows[0].id);
+        } catch (error) {
+            console.error('[DB ERROR] Failed to save broadcast:', error.message);
+            return null;
+        }
+    }
+
+    // Get broadcasts after lastId (oldest first) within the retention window.
+    // sources = null means all sources, [] means none.
+    async getBroadcastsSince(lastId, sources, limit = 500, retentionHours = 72) {
+        try {
+            const result = await this.query(
+                `SELECT id, message
+                 FROM broadcasts
+                 WHERE id > $1
+                   AND created_at > NOW() - ($2 || ' hours')::INTERVAL
+                   AND ($3::TEXT[] IS NULL OR source = ANY($3))
+                 ORDER BY id ASC
+                 LIMIT $4`,
+                [lastId, retentionHours.toString(), sources, limit]
+            );
+            return result.rows.map(row => ({ ...row.message, messageId: Number(row.id) }));
+        } catch (error) {
+            console.error('[DB ERROR] Failed to get broadcast history:', error.message);
+            return [];
+        }
+    }
+
+    // A stored broadcast by id (null if it's gone), for bus events too large to carry it inline
+    async getBroadcastById(id) {
+        try {
+            const result = await this.query('SELECT id, message FROM broadcasts WHERE id = $1', [id]);
+            if (result.rows.length === 0) return null;
+            return { ...result.rows[0].message, messageId: Number(result.rows[0].id) };
+        } catch (error) {
+            console.error('[DB ERROR] Failed to get broadcast:', error.message);
+            return null;
+        }
+    }
+
+    // Delete broadcasts older than the retention window
+    async cleanupOldBroadcasts(retentionHours = 72) {
+        try {
+            const result = await this.query(
+                `DELETE FROM broadcasts
+                 WHERE created_at < NOW() - ($1 || ' hours')::INTERVAL
+                 RETURNING id`,
+                [retentionHours.toString()]
+            );
+            const deleted = result.rowCount || 0;
+            if (deleted > 0) {
+                console.log(`[DB] Cleaned up ${deleted} old broadcasts`);
+            }
+            return deleted;
+        } catch (error) {
+            console.error('[DB ERROR] Failed to cleanup old broadcasts:', error.message);
+            return 0;
+        }
+    }
+
+    // ===== Broadcaster Source Methods =====
+
+    // Get the sources (names or globs) a broadcaster may publish to
+    async getBroadcasterSources(username) {
+        try {
+            const result = await this.query(
+                'SELECT source FROM broadcaster_sources WHERE username = $1 ORDER BY source ASC',
+                [username]
+            );
+            return result.rows.map(row => row.source);
+        } catch (error) {
+            console.error('[DB ERROR] Failed to get broadcaster sources:', error.message);
+            return [];
+        }
+    }
+
+    // Allow a broadcaster to publish to a source, returns false if already granted
+    async grantSource(username, source) {
+        const result = await this.query(
+            `INSERT INTO broadcaster_sources (username, source) VALUES ($1, $2)
+             ON CONFLICT (username, source) DO NOTHING`,
+            [username, source]
+        );
+        return result.rowCount > 0;
+    }
+
+    // Revoke a source from a broadcaster, returns false if it wasn't granted
+    async revokeSource(username, source) {
+        const result = await this.query(
+            'DELETE FROM broadcaster_sources WHERE username = $1 AND source = $2',
+            [username, source]
+        );
+        return result.rowCount > 0;
+    }
+
+    // ===== Subscription Methods =====
+
+    // Get a user's default filters: { filters, locked } or null if none are stored
+    async getUserSubscription(username) {
+        try {
+            const result = await this.query(
+                'SELECT filters, locked, updated_at FROM user_subscriptions WHERE username = $1',
+                [username]
+            );
+            return result.rows[0] || null;
+        } catch (error) {
+            console.error('[DB ERROR] Failed to get subscription:', error.message);
+            return null;
+        }
+    }
+
+    // Store (or replace) a user's default filters
+    async setUserSubscription(username, filters, locked = false) {
+        const result = await this.query(
+            `INSERT INTO user_subscriptions (username, filters, locked)
+             VALUES ($1, $2, $3)
+             ON CONFLICT (username) DO UPDATE SET filters = $2, locked = $3, updated_at = CURRENT_TIMESTAMP
+             RETURNING filters, locked, updated_at`,
+            [username, filters, locked]
+        );
+        return result.rows[0];
+    }
+
+    // Remove a user's default filters, returns false if there were none
+    async clearUserSubscription(username) {
+        const result = await this.query('DELETE FROM user_subscriptions WHERE username = $1', [username]);
+        return result.rowCount > 0;
+    }
+
+    // ===== Outbound Sink Methods =====
+
+    // Get all active sinks
+    async getActiveSinks() {
+        try {
+            const result = await this.query(
+                'SELECT id, source, kind, url, created_at FROM sinks WHERE is_active = TRUE ORDER BY id ASC'
+            );
+            return result.rows;
+        } catch (error) {
+            console.error('[DB ERROR] Failed to get sinks:', error.message);
+            return [];
+        }
+    }
+
+    // Add a sink, returns the new row
+    async addSink(source, kind, url) {
+        const result = await this.query(
+            'INSERT INTO sinks (source, kind, url) VALUES ($1, $2, $3) RETURNING id, source, kind, url, created_at',
+            [source, kind, url]
+        );
+        return result.rows[0];
+    }
+
+    // Remove a sink (soft delete), returns false if there was no such active sink
+    async removeSink(id) {
+        const result = await this.query(
+            'UPDATE sinks SET is_active = FALSE WHERE id = $1 AND is_active = TRUE RETURNING id',
+            [id]
+        );
+        return result.rowCount > 0;
+    }
+
+    // Record a delivery that failed after its last retry
+    async addDeadLetter(sinkId, messageId, message, error, attempts) {
+        try {
+            await this.query(
+                `INSERT INTO sink_dead_letters (sink_id, message_id, message, error, attempts)
+                 VALUES ($1, $2, $3, $4, $5)`,
+                [sinkId, messageId, message, error, attempts]
+            );
+        } catch (err) {
+            console.error('[DB ERROR] Failed to save dead letter:', err.message);
+        }
+    }
+
+    // Get the most recent dead letters
+    async getDeadLetters(limit = 20) {
+        try {
+            const result = await this.query(
+                `SELECT id, sink_id, message_id, error, attempts, created_at
+                 FROM sink_dead_letters
+                 ORDER BY created_at DESC
+                 LIMIT $1`,
+                [limit]
+            );
+            return result.rows;
+        } catch (error) {
+            console.error('[DB ERROR] Failed to get dead letters:', error.message);
+            return [];
+        }
+    }
+
+    // ===== Ban Methods =====
+
+    // Active (not lifted, not expired) bans, newest first
+    async getActiveBans() {
+        const result = await this.query(
+            `SELECT id, username, cidr, reason, issued_by, created_at, expires_at
+             FROM bans
+             WHERE lifted_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())
+             ORDER BY created_at DESC`
+        );
+        return result.rows;
+    }
+
+    // The active ban on a username that lasts longest, or null
+    async getActiveUserBan(username) {
+        try {
+            const result = await this.query(
+                `SELECT id, username, reason, issued_by, created_at, expires_at
+                 FROM bans
+                 WHERE username = $1 AND lifted_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())
+                 ORDER BY expires_at DESC NULLS FIRST
+                 LIMIT 1`,
+                [username]
+            );
+            return result.rows[0] || null;
+        } catch (error) {
+            console.error('[DB ERROR] Failed to check ban:', error.message);
+            return null;
+        }
+    }
+
+    // Ban a username or a canonical CIDR (exactly one of them), returns the new row
+    async addBan({ username = null, cidr = null, reason = null, issuedBy, expiresAt = null }) {
+        const result = await this.query(
+            `INSERT INTO bans (username, cidr, reason, issued_by, expires_at)
+             VALUES ($1, $2, $3, $4, $5)
+             RETURNING id, username, cidr, reason, issued_by, created_at, expires_at`,
+            [username, cidr, reason, issuedBy, expiresAt]
+        );
+        return result.rows[0];
+    }
+
+    // Lift every active ban on a username or CIDR, returns the number lifted
+    async liftBans({ username = null, cidr = null }, liftedBy) {
+        const result = await this.query(
+            `UPDATE bans SET lifted_at = NOW(), lifted_by = $3
+             WHERE (username = $1 OR cidr = $2)
+               AND lifted_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())`,
+            [username, cidr, liftedBy]
+        );
+        return result.rowCount;
+    }
+
+    // ===== Admin Audit Methods =====
+
+    // Everything an admin command can change about a user, or null if the user doesn't exist
+    async getUserAuditState(username) {
+        const result = await this.query(
+            `SELECT u.role, u.is_active, u.secret_hash IS NOT NULL AS has_api_key,
+                    s.filters AS default_filters, s.locked AS filters_locked,
+                    COALESCE(ARRAY(SELECT source FROM broadcaster_sources b
+                                   WHERE b.username = u.username ORDER BY source), '{}') AS sources
+             FROM users u
+             LEFT JOIN user_subscriptions s ON s.username = u.username
+             WHERE u.username = $1`,
+            [username]
+        );
+        return result.rows[0] || null;
+    }
+
+    // Record an admin command; audit failures never block the command itself
+    async logAdminAction({ actor, action, target = null, args = [], before = null, after = null, success, error = null, ip = null }) {
+        try {
+            await this.query(
+                `INSERT INTO admin_audit (actor, action, target, args, before_state, after_state, success, error, ip)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+                [actor, action, target, JSON.stringify(args),
+                    before && JSON.stringify(before), after && JSON.stringify(after), success, error, ip]
+            );
+        } catch (err) {
+            console.error('[DB ERROR] Failed to log admin action:', err.message);
+        }
+    }
+
+    // Get audit entries (newest first), optionally filtered by actor, target and time range
+    async getAdminAudit({ actor = null, target = null, since = null, until = null, limit = 100 } = {}) {
+        const result = await this.query(
+            `SELECT id, actor, action, target, args, before_state, after_state, success, error, ip, created_at
+             FROM admin_audit
+             WHERE ($1::VARCHAR IS NULL OR actor = $1)
+               AND ($2::VARCHAR IS NULL OR target = $2)
+               AND ($3::TIMESTAMPTZ IS NULL OR created_at >= $3)
+               AND ($4::TIMESTAMPTZ IS NULL OR created_at <= $4)
+             ORDER BY created_at DESC, id DESC
+             LIMIT $5`,
+            [actor, target, since, until, limit]
+        );
+        return result.rows;
+    }
 }
 
 module.exports = Database;
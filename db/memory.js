@@ -0,0 +1,443 @@
+const fs = require('fs');
+const { hashSecret } = require('../utils/auth');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Stored JSON columns come back as fresh objects, like rows read from Postgres
+function copy(value) {
+    return value === null || value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+function isActiveBan(ban, now = Date.now()) {
+    return ban.lifted_at === null && (ban.expires_at === null || ban.expires_at.getTime() > now);
+}
+
+// Newest first; rows created in the same millisecond keep insertion order reversed
+function newestFirst(a, b) {
+    return b.created_at - a.created_at || b.id - a.id;
+}
+
+// In-process storage with the same interface as Database (see db/storage.js). Nothing survives
+// a restart and nothing is shared between processes: meant for laptops, CI and tests.
+class MemoryDatabase {
+    constructor({ seedFile = null } = {}) {
+        this.users = new Map(); // username -> { id, username, role, is_active, secret_hash, secret_updated_at, created_at }
+        this.connectionEvents = [];
+        this.broadcasts = [];
+        this.broadcasterSources = new Map(); // username -> Set of sources
+        this.subscriptions = new Map(); // username -> { filters, locked, updated_at }
+        this.sinks = [];
+        this.deadLetters = [];
+        this.bans = [];
+        this.adminAudit = [];
+        this.nextIds = {};
+
+        // { users: [{ username, role, apiKey, sources }] }, applied by testConnection()
+        this.seed = seedFile ? JSON.parse(fs.readFileSync(seedFile, 'utf8')) : null;
+        this.seeded = false;
+
+        // Same hook as Database; there are no queries to time here
+        this.onQuery = null;
+    }
+
+    nextId(table) {
+        this.nextIds[table] = (this.nextIds[table] || 0) + 1;
+        return this.nextIds[table];
+    }
+
+    activeUser(username) {
+        const user = this.users.get(username);
+        return user && user.is_active ? user : null;
+    }
+
+    // Rows referencing users need the user to exist, like the foreign keys in Postgres
+    requireUser(username) {
+        if (!this.users.has(username)) {
+            throw new Error(`User ${username} does not exist`);
+        }
+    }
+
+    poolState() {
+        return { total: 0, idle: 0, waiting: 0 };
+    }
+
+    async ping() {
+        return true;
+    }
+
+    async isUserWhitelisted(username) {
+        return this.activeUser(username) !== null;
+    }
+
+    async getUserRole(username) {
+        const user = this.activeUser(username);
+        return user ? user.role : null;
+    }
+
+    async setUserRole(username, role) {
+        const user = this.activeUser(username);
+        if (!user) return false;
+        user.role = role;
+        return true;
+    }
+
+    // Insert a user with role, or reactivate an existing one: a removed user comes back with role
+    // and without their old API key (like REACTIVATE_SET in database.js), an active one is passed to update(user)
+    upsertUser(username, role, update) {
+        let user = this.users.get(username);
+        if (user && user.is_active) {
+            update(user);
+        } else if (user) {
+            user.is_active = true;
+            user.role = role;
+            user.secret_hash = null;
+            user.secret_updated_at = new Date();
+        } else {
+            user = {
+                id: this.nextId('users'), username, role, is_active: true,
+                secret_hash: null, secret_updated_at: null, created_at: new Date()
+            };
+            this.users.set(username, user);
+        }
+        return user;
+    }
+
+    async addUser(username, role = null) {
+        const user = this.upsertUser(username, role || 'viewer', (u) => {
+            if (role) u.role = role;
+        });
+        return { id: user.id, role: user.role };
+    }
+
+    async addBroadcaster(username) {
+        const user = this.upsertUser(username, 'publisher', (u) => {
+            if (u.role === 'viewer') u.role = 'publisher';
+        });
+        return { id: user.id, role: user.role };
+    }
+
+    async addAdmin(username) {
+        const user = this.upsertUser(username, 'owner', (u) => {
+            u.role = 'owner';
+        });
+        return { id: user.id };
+    }
+
+    async removeUser(username) {
+        const user = this.users.get(username);
+        if (user) user.is_active = false;
+        return true;
+    }
+
+    async removeBroadcaster(username) {
+        const user = this.users.get(username);
+        if (!user || user.role !== 'publisher') return false;
+        user.role = 'viewer';
+        return true;
+    }
+
+    // ===== Credential Methods =====
+
+    async getUserSecretHash(username) {
+        const user = this.activeUser(username);
+        return user ? user.secret_hash : null;
+    }
+
+    async getUserCredential(username) {
+        const user = this.activeUser(username);
+        return user ? { secretHash: user.secret_hash, secretUpdatedAt: user.secret_updated_at } : null;
+    }
+
+    async setUserSecret(username, secretHash) {
+        const user = this.activeUser(username);
+        if (!user) return false;
+        user.secret_hash = secretHash;
+        user.secret_updated_at = new Date();
+        return true;
+    }
+
+    async revokeUserSecret(username) {
+        const user = this.users.get(username);
+        if (user) {
+            user.secret_hash = null;
+            user.secret_updated_at = new Date();
+        }
+        return true;
+    }
+
+    async getAllUsers() {
+        return [...this.users.values()]
+            .filter(u => u.is_active)
+            .sort(newestFirst)
+            .map(({ id, username, role, created_at }) => ({ id, username, role, created_at }));
+    }
+
+    async getAllBroadcasters() {
+        return (await this.getAllUsers()).filter(u => u.role !== 'viewer');
+    }
+
+    // Nothing to connect to; loads the seed file the first time
+    async testConnection() {
+        if (this.seed && !this.seeded) {
+            for (const entry of this.seed.users || []) {
+                await this.addUser(entry.username, entry.role || 'viewer');
+                if (entry.apiKey) {
+                    await this.setUserSecret(entry.username, await hashSecret(entry.apiKey));
+                }
+                for (const source of entry.sources || []) {
+                    await this.grantSource(entry.username, source.toLowerCase());
+                }
+            }
+            this.seeded = true;
+        }
+        console.log(`✓ In-memory storage ready (${this.users.size} users)`);
+        return true;
+    }
+
+    async close() {}
+
+    // ===== Connection Events Methods =====
+
+    async logConnectionEvent(username, ip, eventType, reason = null, socketIp = null) {
+        this.connectionEvents.push({
+            id: this.nextId('connection_events'), username, ip, socket_ip: socketIp,
+            event_type: eventType, disconnect_reason: reason, created_at: new Date()
+        });
+    }
+
+    async getConnectionHistory(username, limit = 50) {
+        return this.connectionEvents
+            .filter(e => e.username === username)
+            .sort(newestFirst)
+            .slice(0, limit)
+            .map(({ username: _, ...event }) => ({ ...event }));
+    }
+
+    async getConnectionStats(hoursBack = 24) {
+        const validHours = Math.max(1, Math.min(168, parseInt(hoursBack) || 24)); // 1h to 7 days
+        const since = Date.now() - validHours * HOUR_MS;
+
+        const buckets = new Map(); // "hour|event_type" -> row
+        for (const event of this.connectionEvents) {
+            if (event.created_at.getTime() <= since) continue;
+            const hour = new Date(Math.floor(event.created_at.getTime() / HOUR_MS) * HOUR_MS);
+            const key = `${hour.getTime()}|${event.event_type}`;
+            const row = buckets.get(key) || { hour, event_type: event.event_type, count: 0 };
+            row.count++;
+            buckets.set(key, row);
+        }
+        return [...buckets.values()].sort((a, b) => a.hour - b.hour);
+    }
+
+    async getRecentEvents(limit = 20) {
+        return this.connectionEvents.slice().sort(newestFirst).slice(0, limit).map(event => ({ ...event }));
+    }
+
+    async getUserConnectionSummary(username) {
+        const events = this.connectionEvents.filter(e => e.username === username);
+        const count = (type) => events.filter(e => e.event_type === type).length;
+        const times = events.map(e => e.created_at.getTime());
+        return {
+            total_connections: count('connect'),
+            total_disconnections: count('disconnect'),
+            auth_failures: count('auth_fail'),
+            times_kicked: count('kicked'),
+            first_seen: times.length > 0 ? new Date(Math.min(...times)) : null,
+            last_seen: times.length > 0 ? new Date(Math.max(...times)) : null
+        };
+    }
+
+    async cleanupOldEvents(retentionDays = 7) {
+        const cutoff = Date.now() - retentionDays * 24 * HOUR_MS;
+        const before = this.connectionEvents.length;
+        this.connectionEvents = this.connectionEvents.filter(e => e.created_at.getTime() >= cutoff);
+        const deleted = before - this.connectionEvents.length;
+        if (deleted > 0) {
+            console.log(`[DB] Cleaned up ${deleted} old connection events`);
+        }
+        return deleted;
+    }
+
+    // ===== Broadcast History Methods =====
+
+    async saveBroadcast(sender, source, message) {
+        const id = this.nextId('broadcasts');
+        this.broadcasts.push({ id, sender, source, message: copy(message), created_at: new Date() });
+        return id;
+    }
+
+    async getBroadcastsSince(lastId, sources, limit = 500, retentionHours = 72) {
+        const since = Date.now() - retentionHours * HOUR_MS;
+        return this.broadcasts
+            .filter(b => b.id > lastId && b.created_at.getTime() > since &&
+                (sources === null || sources.includes(b.source)))
+            .slice(0, limit)
+            .map(b => ({ ...copy(b.message), messageId: b.id }));
+    }
+
+    async getBroadcastById(id) {
+        const broadcast = this.broadcasts.find(b => b.id === Number(id));
+        return broadcast ? { ...copy(broadcast.message), messageId: broadcast.id } : null;
+    }
+
+    async cleanupOldBroadcasts(retentionHours = 72) {
+        const cutoff = Date.now() - retentionHours * HOUR_MS;
+        const before = this.broadcasts.length;
+        this.broadcasts = this.broadcasts.filter(b => b.created_at.getTime() >= cutoff);
+        const deleted = before - this.broadcasts.length;
+        if (deleted > 0) {
+            console.log(`[DB] Cleaned up ${deleted} old broadcasts`);
+        }
+        return deleted;
+    }
+
+    // ===== Broadcaster Source Methods =====
+
+    async getBroadcasterSources(username) {
+        return [...(this.broadcasterSources.get(username) || [])].sort();
+    }
+
+    async grantSource(username, source) {
+        this.requireUser(username);
+        const sources = this.broadcasterSources.get(username) || new Set();
+        if (sources.has(source)) return false;
+        sources.add(source);
+        this.broadcasterSources.set(username, sources);
+        return true;
+    }
+
+    async revokeSource(username, source) {
+        const sources = this.broadcasterSources.get(username);
+        return Boolean(sources && sources.delete(source));
+    }
+
+    // ===== Subscription Methods =====
+
+    async getUserSubscription(username) {
+        const subscription = this.subscriptions.get(username);
+        return subscription ? { ...subscription, filters: [...subscription.filters] } : null;
+    }
+
+    async setUserSubscription(username, filters, locked = false) {
+        this.requireUser(username);
+        this.subscriptions.set(username, { filters: [...filters], locked, updated_at: new Date() });
+        return this.getUserSubscription(username);
+    }
+
+    async clearUserSubscription(username) {
+        return this.subscriptions.delete(username);
+    }
+
+    // ===== Outbound Sink Methods =====
+
+    async getActiveSinks() {
+        return this.sinks.filter(s => s.is_active).map(({ is_active, ...sink }) => sink);
+    }
+
+    async addSink(source, kind, url) {
+        const sink = { id: this.nextId('sinks'), source, kind, url, created_at: new Date(), is_active: true };
+        this.sinks.push(sink);
+        const { is_active, ...row } = sink;
+        return row;
+    }
+
+    async removeSink(id) {
+        const sink = this.sinks.find(s => s.id === Number(id) && s.is_active);
+        if (!sink) return false;
+        sink.is_active = false;
+        return true;
+    }
+
+    async addDeadLetter(sinkId, messageId, message, error, attempts) {
+        this.deadLetters.push({
+            id: this.nextId('sink_dead_letters'), sink_id: sinkId, message_id: messageId,
+            message: copy(message), error, attempts, created_at: new Date()
+        });
+    }
+
+    async getDeadLetters(limit = 20) {
+        return this.deadLetters.slice().sort(newestFirst).slice(0, limit)
+            .map(({ message, ...letter }) => letter);
+    }
+
+    // ===== Ban Methods =====
+
+    async getActiveBans() {
+        return this.bans.filter(b => isActiveBan(b)).sort(newestFirst)
+            .map(({ lifted_at, lifted_by, ...ban }) => ban);
+    }
+
+    async getActiveUserBan(username) {
+        // Longest lasting first: permanent bans, then the latest expiry
+        const bans = this.bans
+            .filter(b => b.username === username && isActiveBan(b))
+            .sort((a, b) => {
+                if (a.expires_at === null || b.expires_at === null) {
+                    return (a.expires_at === null ? 0 : 1) - (b.expires_at === null ? 0 : 1);
+                }
+                return b.expires_at - a.expires_at;
+            });
+        if (bans.length === 0) return null;
+        const { cidr, lifted_at, lifted_by, ...ban } = bans[0];
+        return ban;
+    }
+
+    async addBan({ username = null, cidr = null, reason = null, issuedBy, expiresAt = null }) {
+        const ban = {
+            id: this.nextId('bans'), username, cidr, reason, issued_by: issuedBy, created_at: new Date(),
+            expires_at: expiresAt === null ? null : new Date(expiresAt), lifted_at: null, lifted_by: null
+        };
+        this.bans.push(ban);
+        const { lifted_at, lifted_by, ...row } = ban;
+        return row;
+    }
+
+    async liftBans({ username = null, cidr = null }, liftedBy) {
+        const now = new Date();
+        const bans = this.bans.filter(b => isActiveBan(b, now.getTime()) &&
+            ((username !== null && b.username === username) || (cidr !== null && b.cidr === cidr)));
+        for (const ban of bans) {
+            ban.lifted_at = now;
+            ban.lifted_by = liftedBy;
+        }
+        return bans.length;
+    }
+
+    // ===== Admin Audit Methods =====
+
+    async getUserAuditState(username) {
+        const user = this.users.get(username);
+        if (!user) return null;
+        const subscription = this.subscriptions.get(username);
+        return {
+            role: user.role,
+            is_active: user.is_active,
+            has_api_key: user.secret_hash !== null,
+            default_filters: subscription ? [...subscription.filters] : null,
+            filters_locked: subscription ? subscription.locked : null,
+            sources: await this.getBroadcasterSources(username)
+        };
+    }
+
+    async logAdminAction({ actor, action, target = null, args = [], before = null, after = null, success, error = null, ip = null }) {
+        this.adminAudit.push({
+            id: this.nextId('admin_audit'), actor, action, target, args: copy(args),
+            before_state: copy(before), after_state: copy(after), success, error, ip, created_at: new Date()
+        });
+    }
+
+    async getAdminAudit({ actor = null, target = null, since = null, until = null, limit = 100 } = {}) {
+        const from = since === null ? null : new Date(since).getTime();
+        const to = until === null ? null : new Date(until).getTime();
+        return this.adminAudit
+            .filter(e => (actor === null || e.actor === actor) &&
+                (target === null || e.target === target) &&
+                (from === null || e.created_at.getTime() >= from) &&
+                (to === null || e.created_at.getTime() <= to))
+            .sort(newestFirst)
+            .slice(0, limit)
+            .map(entry => ({ ...entry, args: copy(entry.args), before_state: copy(entry.before_state), after_state: copy(entry.after_state) }));
+    }
+}
+
+module.exports = MemoryDatabase;
@@ -1,55 +1,213 @@
 require('dotenv').config();
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const Database = require('./database');
 
-async function runMigrations() {
-    const db = new Database();
+// Numbered migrations: db/migrations/NNN_name.up.sql, plus NNN_name.down.sql to roll it back.
+// Applied versions are recorded in schema_migrations with a checksum of the up file.
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+const MIGRATION_LOCK_ID = 72430917; // pg_advisory_lock key, so two deploys don't migrate at once
+
+const USAGE = 'Usage: node db/migrations.js [up | down [count] | status]';
+
+// Read the migration files, oldest first: [{ version, name, up, down, checksum }]
+function loadMigrations(dir = MIGRATIONS_DIR) {
+    const byVersion = new Map();
+    for (const file of fs.readdirSync(dir)) {
+        const match = MIGRATION_FILE.exec(file);
+        if (!match) continue;
+
+        const version = parseInt(match[1]);
+        const migration = byVersion.get(version) || { version, name: match[2], up: null, down: null };
+        if (migration.name !== match[2]) {
+            throw new Error(`Two migrations numbered ${match[1]}: ${migration.name} and ${match[2]}`);
+        }
+        migration[match[3]] = fs.readFileSync(path.join(dir, file), 'utf8');
+        byVersion.set(version, migration);
+    }
+
+    const migrations = [...byVersion.values()].sort((a, b) => a.version - b.version);
+    for (const migration of migrations) {
+        if (migration.up === null) {
+            throw new Error(`Migration ${describe(migration)} has no .up.sql file`);
+        }
+        migration.checksum = crypto.createHash('sha256').update(migration.up).digest('hex');
+    }
+    return migrations;
+}
+
+function describe(migration) {
+    return `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+}
 
-    console.log('Running database migrations...\n');
+async function ensureMigrationsTable(client) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            checksum CHAR(64) NOT NULL,
+            applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+}
+
+// version -> { version, name, checksum, applied_at }
+async function getApplied(client) {
+    const result = await client.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+    return new Map(result.rows.map(row => [row.version, row]));
+}
 
+// Run one migration's SQL and its bookkeeping in a single transaction
+async function inTransaction(client, fn) {
+    await client.query('BEGIN');
     try {
-        await db.testConnection();
-
-        // Create table if not exists
-        const schemaPath = path.join(__dirname, 'schema.sql');
-        const schema = fs.readFileSync(schemaPath, 'utf8');
-        await db.query(schema);
-        console.log('✓ Schema applied');
-
-        // Add is_admin column if it doesn't exist (for existing tables)
-        await db.query(`
-            DO $$ 
-            BEGIN 
-                IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
-                               WHERE table_name = 'users' AND column_name = 'is_admin') THEN
-                    ALTER TABLE users ADD COLUMN is_admin BOOLEAN DEFAULT FALSE;
-                END IF;
-            END $$;
-        `);
-        console.log('✓ is_admin column ensured');
-
-        // Apply schema_v2 - connection_events table
-        const schema2Path = path.join(__dirname, 'schema_v2.sql');
-        if (fs.existsSync(schema2Path)) {
-            const schema2 = fs.readFileSync(schema2Path, 'utf8');
-            await db.query(schema2);
-            console.log('✓ connection_events table ensured');
-        }
-
-        const users = await db.getAllUsers();
-        console.log(`Current users: ${users.length}`);
+        await fn();
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    }
+}
+
+// Every file compared with what was recorded: [{ migration, applied, state }] where state is
+// applied, pending, modified (edited after it was applied) or missing (applied, file gone)
+function compare(migrations, applied) {
+    const rows = migrations.map(migration => {
+        const row = applied.get(migration.version);
+        let state = 'pending';
+        if (row) {
+            state = row.checksum === migration.checksum ? 'applied' : 'modified';
+        }
+        return { migration, applied: row || null, state };
+    });
+    for (const row of applied.values()) {
+        if (!migrations.some(m => m.version === row.version)) {
+            rows.push({ migration: { version: row.version, name: row.name }, applied: row, state: 'missing' });
+        }
+    }
+    return rows.sort((a, b) => a.migration.version - b.migration.version);
+}
+
+async function migrateUp(client, migrations) {
+    const rows = compare(migrations, await getApplied(client));
 
+    const modified = rows.filter(r => r.state === 'modified');
+    if (modified.length > 0) {
+        throw new Error(`Applied migrations were edited afterwards: ${modified.map(r => describe(r.migration)).join(', ')}. ` +
+            'Restore them and put the change in a new migration.');
+    }
+
+    const pending = rows.filter(r => r.state === 'pending');
+    if (pending.length === 0) {
+        console.log('✓ Database is up to date');
+        return 0;
+    }
+
+    for (const { migration } of pending) {
+        await inTransaction(client, async () => {
+            await client.query(migration.up);
+            await client.query(
+                'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+                [migration.version, migration.name, migration.checksum]
+            );
+        });
+        console.log(`✓ ${describe(migration)} applied`);
+    }
+    return pending.length;
+}
+
+// Roll back the last `count` applied migrations, newest first
+async function migrateDown(client, migrations, count) {
+    const applied = [...(await getApplied(client)).values()].reverse().slice(0, count);
+    if (applied.length === 0) {
+        console.log('Nothing to roll back');
+        return 0;
+    }
+
+    for (const row of applied) {
+        const migration = migrations.find(m => m.version === row.version);
+        if (!migration || migration.down === null) {
+            throw new Error(`Migration ${describe(row)} has no .down.sql file, stopping here`);
+        }
+        if (migration.checksum !== row.checksum) {
+            console.warn(`! ${describe(migration)} was edited after it was applied; rolling back with the current down file`);
+        }
+        await inTransaction(client, async () => {
+            await client.query(migration.down);
+            await client.query('DELETE FROM schema_migrations WHERE version = $1', [row.version]);
+        });
+        console.log(`✓ ${describe(migration)} rolled back`);
+    }
+    return applied.length;
+}
+
+async function printStatus(client, migrations) {
+    const rows = compare(migrations, await getApplied(client));
+    const symbols = { applied: '✓', pending: '·', modified: '✗', missing: '?' };
+    for (const { migration, applied, state } of rows) {
+        const detail = {
+            applied: `applied ${applied && new Date(applied.applied_at).toISOString()}`,
+            pending: 'pending',
+            modified: 'edited after it was applied (checksum mismatch)',
+            missing: 'applied, but its file is gone'
+        }[state];
+        console.log(`${symbols[state]} ${describe(migration).padEnd(32)} ${detail}`);
+    }
+    const pending = rows.filter(r => r.state === 'pending').length;
+    console.log(`\n${rows.length - pending} applied, ${pending} pending`);
+    return rows;
+}
+
+// Run a migration command: 'up', 'down' (args[0] = how many, default 1) or 'status'
+async function runMigrations(command = 'up', args = []) {
+    const db = new Database();
+    let client = null;
+
+    try {
+        const migrations = loadMigrations();
+        client = await db.pool.connect();
+        await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+        await ensureMigrationsTable(client);
+
+        switch (command) {
+            case 'up': {
+                console.log('Running database migrations...\n');
+                await migrateUp(client, migrations);
+                const users = await db.getAllUsers();
+                console.log(`Current users: ${users.length}`);
+                break;
+            }
+            case 'down': {
+                const count = args[0] === undefined ? 1 : parseInt(args[0]);
+                if (!Number.isInteger(count) || count < 1) {
+                    throw new Error(USAGE);
+                }
+                await migrateDown(client, migrations, count);
+                break;
+            }
+            case 'status':
+                await printStatus(client, migrations);
+                break;
+            default:
+                throw new Error(USAGE);
+        }
     } catch (error) {
         console.error('✗ Migration failed:', error.message);
-        process.exit(1);
+        process.exitCode = 1;
     } finally {
+        if (client) {
+            await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {});
+            client.release();
+        }
         await db.close();
     }
 }
 
 if (require.main === module) {
-    runMigrations();
+    const [command, ...args] = process.argv.slice(2);
+    runMigrations(command, args);
 }
 
-module.exports = runMigrations;
+module.exports = { runMigrations, loadMigrations };
@@ -0,0 +1,2 @@
+-- Drops every user (run the later down migrations first)
+DROP TABLE IF EXISTS users;
@@ -11,5 +11,8 @@ CREATE TABLE IF NOT EXISTS users (
     is_active BOOLEAN DEFAULT TRUE
 );
 
+-- Tables created before is_admin existed
+ALTER TABLE users ADD COLUMN IF NOT EXISTS is_admin BOOLEAN DEFAULT FALSE;
+
 -- Index for fast username lookups
 CREATE INDEX IF NOT EXISTS idx_users_username ON users(username);
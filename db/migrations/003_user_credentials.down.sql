@@ -0,0 +1,3 @@
+-- Every API key is lost; users need new ones after migrating up again
+ALTER TABLE users DROP COLUMN IF EXISTS secret_updated_at;
+ALTER TABLE users DROP COLUMN IF EXISTS secret_hash;
@@ -0,0 +1,6 @@
+-- WebSocket Relay Database Schema - User Credentials
+-- PostgreSQL
+
+-- Hashed per-user secret (API key), format: scrypt$<salt>$<hash>
+ALTER TABLE users ADD COLUMN IF NOT EXISTS secret_hash VARCHAR(255);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS secret_updated_at TIMESTAMP;
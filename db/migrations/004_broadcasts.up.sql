@@ -0,0 +1,15 @@
+-- WebSocket Relay Database Schema - Broadcast History
+-- PostgreSQL
+
+-- Every formatted broadcast, id doubles as the replay cursor (messageId)
+CREATE TABLE IF NOT EXISTS broadcasts (
+    id BIGSERIAL PRIMARY KEY,
+    source VARCHAR(1000) NOT NULL, -- lowercased source, used for replay filtering
+    sender VARCHAR(50),
+    message JSONB NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Indexes for replay and retention cleanup
+CREATE INDEX IF NOT EXISTS idx_broadcasts_source ON broadcasts(source);
+CREATE INDEX IF NOT EXISTS idx_broadcasts_created_at ON broadcasts(created_at);
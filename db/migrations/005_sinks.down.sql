@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS sink_dead_letters;
+DROP TABLE IF EXISTS sinks;
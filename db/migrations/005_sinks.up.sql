@@ -0,0 +1,25 @@
+-- WebSocket Relay Database Schema - Outbound Sinks
+-- PostgreSQL
+
+-- Outbound webhook targets, invoked after each broadcast for a matching source
+CREATE TABLE IF NOT EXISTS sinks (
+    id SERIAL PRIMARY KEY,
+    source VARCHAR(1000) NOT NULL, -- lowercased source, '*' = every source
+    kind VARCHAR(20) NOT NULL, -- 'json' (broadcast as-is) or 'discord' (webhook embed)
+    url TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    is_active BOOLEAN DEFAULT TRUE
+);
+
+-- Deliveries that still failed after the last retry
+CREATE TABLE IF NOT EXISTS sink_dead_letters (
+    id SERIAL PRIMARY KEY,
+    sink_id INTEGER REFERENCES sinks(id),
+    message_id BIGINT,
+    message JSONB NOT NULL,
+    error TEXT,
+    attempts INTEGER NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_sink_dead_letters_created_at ON sink_dead_letters(created_at);
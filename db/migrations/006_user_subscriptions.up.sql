@@ -0,0 +1,11 @@
+-- WebSocket Relay Database Schema - Default Subscriptions
+-- PostgreSQL
+
+-- Per-user default filters, applied at login when the client doesn't send its own.
+-- Locked filters also cap what the user can subscribe to.
+CREATE TABLE IF NOT EXISTS user_subscriptions (
+    username VARCHAR(50) PRIMARY KEY REFERENCES users(username) ON DELETE CASCADE,
+    filters TEXT[] NOT NULL, -- canonical filter strings, same syntax as the login list
+    locked BOOLEAN DEFAULT FALSE,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,20 @@
+-- WebSocket Relay Database Schema - Broadcaster Source Permissions
+-- PostgreSQL
+
+-- Sources each broadcaster may publish to: exact names or globs ('news-*', '*' = any).
+-- Created once; existing broadcasters are granted '*' so they keep working after the upgrade.
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM information_schema.tables
+                   WHERE table_name = 'broadcaster_sources') THEN
+        CREATE TABLE broadcaster_sources (
+            username VARCHAR(50) NOT NULL REFERENCES users(username) ON DELETE CASCADE,
+            source VARCHAR(1000) NOT NULL, -- lowercased source or glob
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (username, source)
+        );
+
+        INSERT INTO broadcaster_sources (username, source)
+        SELECT username, '*' FROM users WHERE is_broadcaster = TRUE AND is_active = TRUE;
+    END IF;
+END $$;
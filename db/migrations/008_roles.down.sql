@@ -0,0 +1,7 @@
+-- Bring the legacy flags up to date before dropping roles. Only owners keep is_admin:
+-- the old flag meant every admin command, more than a moderator may run.
+UPDATE users SET
+    is_admin = (role = 'owner'),
+    is_broadcaster = (role <> 'viewer');
+
+ALTER TABLE users DROP COLUMN IF EXISTS role;
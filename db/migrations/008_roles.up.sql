@@ -0,0 +1,16 @@
+-- WebSocket Relay Database Schema - Roles
+-- PostgreSQL
+
+-- Named role per user (viewer, publisher, moderator, owner; permissions are defined in
+-- utils/permissions.js). Replaces is_broadcaster / is_admin, which are no longer read.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS role VARCHAR(20);
+
+UPDATE users SET role = CASE
+    WHEN is_admin THEN 'owner'
+    WHEN is_broadcaster THEN 'publisher'
+    ELSE 'viewer'
+END
+WHERE role IS NULL;
+
+ALTER TABLE users ALTER COLUMN role SET DEFAULT 'viewer';
+ALTER TABLE users ALTER COLUMN role SET NOT NULL;
@@ -0,0 +1,21 @@
+-- WebSocket Relay Database Schema - Admin Audit Log
+-- PostgreSQL
+
+-- Every admin command (WebSocket or REST), including rejected ones. Never cleaned up.
+CREATE TABLE IF NOT EXISTS admin_audit (
+    id BIGSERIAL PRIMARY KEY,
+    actor VARCHAR(50) NOT NULL, -- username of the admin who ran the command
+    action VARCHAR(50) NOT NULL, -- admin command name
+    target VARCHAR(1000), -- username, sink source/id, ... (NULL for targetless commands)
+    args JSONB,
+    before_state JSONB, -- state the command can change, NULL for read-only commands
+    after_state JSONB,
+    success BOOLEAN NOT NULL,
+    error TEXT,
+    ip VARCHAR(45),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_audit_created_at ON admin_audit(created_at);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_actor ON admin_audit(actor, created_at);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_target ON admin_audit(target, created_at);
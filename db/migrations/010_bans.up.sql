@@ -0,0 +1,20 @@
+-- WebSocket Relay Database Schema - Bans
+-- PostgreSQL
+
+-- Username and IP/CIDR bans. A ban is active until it expires or is lifted;
+-- lifted and expired rows are kept as history.
+CREATE TABLE IF NOT EXISTS bans (
+    id SERIAL PRIMARY KEY,
+    username VARCHAR(50), -- set for username bans
+    cidr VARCHAR(50), -- set for IP bans, canonical form (203.0.113.7/32, 2001:db8::/32)
+    reason TEXT,
+    issued_by VARCHAR(50) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP, -- NULL = permanent
+    lifted_at TIMESTAMP,
+    lifted_by VARCHAR(50),
+    CHECK ((username IS NULL) <> (cidr IS NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_bans_username ON bans(username) WHERE lifted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_bans_cidr ON bans(cidr) WHERE lifted_at IS NULL;
@@ -0,0 +1,5 @@
+-- Events without a username (IP lockouts) can't be kept once it is required again
+DELETE FROM connection_events WHERE username IS NULL;
+ALTER TABLE connection_events ALTER COLUMN username SET NOT NULL;
+
+COMMENT ON COLUMN connection_events.event_type IS NULL;
@@ -0,0 +1,9 @@
+-- WebSocket Relay Database Schema - Login Lockouts
+-- PostgreSQL
+
+-- 'lockout' events are logged when an IP or attempted username is locked out after repeated
+-- failed logins. IP lockouts from token handshakes have no username, so it becomes optional.
+ALTER TABLE connection_events ALTER COLUMN username DROP NOT NULL;
+
+COMMENT ON COLUMN connection_events.event_type IS
+    'connect, disconnect, auth_success, auth_fail, kicked, banned, lockout';
@@ -0,0 +1,6 @@
+-- WebSocket Relay Database Schema - Socket Address
+-- PostgreSQL
+
+-- ip is the client address resolved through trusted proxies; socket_ip is the peer that
+-- actually opened the connection (the proxy when there is one)
+ALTER TABLE connection_events ADD COLUMN IF NOT EXISTS socket_ip VARCHAR(45);
@@ -0,0 +1,45 @@
+// Storage backends: Postgres (db/database.js) or in-memory (db/memory.js), selected by
+// STORAGE_BACKEND. Both implement the methods below with the same arguments and row shapes.
+const Database = require('./database');
+const MemoryDatabase = require('./memory');
+
+const STORAGE_BACKENDS = ['postgres', 'memory'];
+
+const STORAGE_METHODS = [
+    // Lifecycle and health
+    'testConnection', 'close', 'ping', 'poolState',
+    // Users, roles and credentials
+    'isUserWhitelisted', 'getUserRole', 'setUserRole', 'addUser', 'addBroadcaster', 'addAdmin',
+    'removeUser', 'removeBroadcaster', 'getUserSecretHash', 'getUserCredential', 'setUserSecret', 'revokeUserSecret',
+    'getAllUsers', 'getAllBroadcasters',
+    // Connection events
+    'logConnectionEvent', 'getConnectionHistory', 'getConnectionStats', 'getRecentEvents',
+    'getUserConnectionSummary', 'cleanupOldEvents',
+    // Broadcast history, sources and subscriptions
+    'saveBroadcast', 'getBroadcastsSince', 'getBroadcastById', 'cleanupOldBroadcasts',
+    'getBroadcasterSources', 'grantSource', 'revokeSource',
+    'getUserSubscription', 'setUserSubscription', 'clearUserSubscription',
+    // Sinks, bans and the admin audit log
+    'getActiveSinks', 'addSink', 'removeSink', 'addDeadLetter', 'getDeadLetters',
+    'getActiveBans', 'getActiveUserBan', 'addBan', 'liftBans',
+    'getUserAuditState', 'logAdminAction', 'getAdminAudit'
+];
+
+function createStorage(kind = process.env.STORAGE_BACKEND || 'postgres', { seedFile = process.env.STORAGE_SEED_FILE || null } = {}) {
+    let storage;
+    if (kind === 'postgres') {
+        storage = new Database();
+    } else if (kind === 'memory') {
+        storage = new MemoryDatabase({ seedFile });
+    } else {
+        throw new Error(`Invalid STORAGE_BACKEND '${kind}' (use ${STORAGE_BACKENDS.join(', ')})`);
+    }
+
+    const missing = STORAGE_METHODS.filter(name => typeof storage[name] !== 'function');
+    if (missing.length > 0) {
+        throw new Error(`Storage backend '${kind}' is missing ${missing.join(', ')}`);
+    }
+    return storage;
+}
+
+module.exports = { STORAGE_BACKENDS, STORAGE_METHODS, createStorage };
@@ -1,5 +1,13 @@
 require('dotenv').config();
 const Database = require('./db/database');
+const { generateApiKey, hashSecret } = require('./utils/auth');
+
+// Issue a fresh API key for a seeded user and print it (only the hash is stored)
+async function issueKey(db, username) {
+    const apiKey = generateApiKey();
+    await db.setUserSecret(username, await hashSecret(apiKey));
+    console.log(`   🔑 ${username} API key: ${apiKey}`);
+}
 
 async function seedDatabase() {
     console.log('🌱 Seeding database...\n');
@@ -11,18 +19,20 @@ async function seedDatabase() {
 
         // ekoBaba31 = admin (can send, receive, and manage users)
         await db.addAdmin('ekoBaba31');
-        console.log('✓ ekoBaba31 added (admin)');
+        await db.grantSource('ekoBaba31', '*');
+        console.log('✓ ekoBaba31 added (owner, may publish to any source)');
+        await issueKey(db, 'ekoBaba31');
 
         // jewloema31 = receiver only
         await db.addUser('jewloema31');
-        console.log('✓ jewloema31 added (receiver)');
+        console.log('✓ jewloema31 added (viewer)');
+        await issueKey(db, 'jewloema31');
 
         // Show current state
         console.log('\n📊 Users:');
         const users = await db.getAllUsers();
         users.forEach(u => {
-            const role = u.is_broadcaster ? '📡 Broadcaster' : '📥 Receiver';
-            console.log(`   • ${u.username} - ${role}`);
+            console.log(`   • ${u.username} - ${u.role}`);
         });
 
         console.log('\n✅ Done!');
@@ -1,31 +1,142 @@
 require('dotenv').config();
+const crypto = require('crypto');
+const http = require('http');
+const os = require('os');
 const WebSocket = require('ws');
-const Database = require('./db/database');
+const { createStorage } = require('./db/storage');
+const { SETTINGS, loadConfig, changedSettings, describeConfig } = require('./utils/config');
 const logger = require('./utils/logger');
+const DeliveryTracker = require('./utils/delivery');
+const AuthLockout = require('./utils/lockout');
+const {
+    COMMAND_CLASSES,
+    TokenBucketLimiter,
+    resolveRateLimits,
+    resolveSourceQuotas
+} = require('./utils/ratelimit');
+const { Outbox } = require('./utils/outbox');
+const { MetricsRegistry } = require('./utils/metrics');
+const { createBus } = require('./utils/bus');
+const { ClusterPresence, chunkUsers } = require('./utils/presence');
+const { SINK_KINDS, SinkDispatcher } = require('./utils/sinks');
+const { compileFilters, buildSubscription, canonicalFilters, usableFilters, broadcastTarget } = require('./utils/filters');
+const {
+    PERMISSIONS,
+    ROLE_NAMES,
+    isValidRole,
+    describeRole,
+    hasPermission
+} = require('./utils/permissions');
+const { parseIp, parseCidr, ipInCidr, normalizeIp, parseTrustedProxies, resolveClientIp } = require('./utils/ip');
+const { generateApiKey, hashSecret, verifySecret } = require('./utils/auth');
+const { signToken, verifyToken, extractToken } = require('./utils/token');
+const {
+    SUBPROTOCOL,
+    PROTOCOLS,
+    ERROR_CODES,
+    CommandError,
+    parseMessage,
+    parseFilterList,
+    formatEnvelope
+} = require('./utils/protocol');
+const {
+    HttpError,
+    tooManyRequests,
+    statusForErrorCode,
+    readJsonBody,
+    sendJson,
+    sendText,
+    parseAuthorization
+} = require('./utils/http');
 const {
-    RateLimiter,
     validateBroadcastMessage,
     validateUsername,
-    formatBroadcast
+    formatBroadcast,
+    isValidUrl
 } = require('./utils/validator');
 
-const PORT = process.env.PORT || 8080;
-const AUTH_TIMEOUT_MS = 30000; // 30 seconds to authenticate
-const PING_INTERVAL_MS = 30000; // 30 seconds ping interval (gives time for pong response)
-const MAX_MESSAGE_SIZE = 100000; // 100KB max message size (for messages with long URLs)
-const RATE_LIMIT_MESSAGES = 100; // messages per minute (broadcasters only can send)
-const RATE_LIMIT_WINDOW = 60000; // 1 minute
-const MAX_CONNECTIONS_PER_USER = 5; // Max concurrent connections per whitelisted username
-const MAX_CONNECTIONS_PER_IP = 20; // Max concurrent connections per IP address (DoS protection)
-const CLEANUP_INTERVAL_MS = 24 * 60 * 60 * 1000; // Daily cleanup check (weekly retention)
+// Fixed limits; the configurable ones are in utils/config.js (this.config)
+const CLEANUP_INTERVAL_MS = 24 * 60 * 60 * 1000; // Daily cleanup of events and broadcasts past their retention
+const DEFAULT_TOKEN_TTL_SECONDS = 15 * 60; // 15 minutes
+const MAX_TOKEN_TTL_SECONDS = 24 * 60 * 60; // 24 hours
+const ACK_PENDING_TTL_MS = 10 * 60 * 1000; // Give up on messages for offline users after 10 minutes
+const MAX_HTTP_BODY_SIZE = 1000000; // 1MB max HTTP request body (batch POSTs)
+const MAX_BATCH_SIZE = 100; // Max broadcasts per batch POST
+const SINK_TIMEOUT_MS = 5000; // Per-request timeout for outbound webhooks
+const AUTH_FAILURE_WINDOW_MS = 10 * 60 * 1000; // Sliding window for counting failed logins
+const AUTH_LOCKOUT_MAX_MS = 60 * 60 * 1000; // Longest lockout
+const BAN_REFRESH_INTERVAL_MS = 60000; // Reload IP bans (expired ones drop out, other instances' bans come in)
+const MAX_BAN_REASON_LENGTH = 500;
+const AUDIT_LOG_DEFAULT_LIMIT = 100; // Entries returned by audit_log without limit=
+const AUDIT_LOG_MAX_LIMIT = 1000;
+const OUTBOX_FLUSH_INTERVAL_MS = 100; // How often queued broadcasts are retried
+const SLOW_CONSUMER_CLOSE_CODE = 4008; // Close code for sessions disconnected by the disconnect policy
+const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+const PRESENCE_INTERVAL_MS = 5000; // Presence heartbeat to the other instances
+const PRESENCE_TTL_MS = 3 * PRESENCE_INTERVAL_MS; // Forget an instance after three missed heartbeats
+const BUS_ENVELOPE_BYTES = 512; // Room left in a bus payload for the fields around a broadcast
+
+// Permission each admin command requires (commands not listed here don't exist)
+const ADMIN_COMMAND_PERMISSIONS = {
+    add_user: PERMISSIONS.MANAGE_USERS,
+    remove_user: PERMISSIONS.MANAGE_USERS,
+    add_broadcaster: PERMISSIONS.MANAGE_USERS,
+    remove_broadcaster: PERMISSIONS.MANAGE_USERS,
+    set_role: PERMISSIONS.MANAGE_USERS,
+    grant_source: PERMISSIONS.MANAGE_USERS,
+    revoke_source: PERMISSIONS.MANAGE_USERS,
+    rotate_key: PERMISSIONS.MANAGE_USERS,
+    revoke_key: PERMISSIONS.MANAGE_USERS,
+    mint_token: PERMISSIONS.MANAGE_USERS,
+    kick: PERMISSIONS.KICK,
+    ban: PERMISSIONS.BAN, // IP/CIDR bans also need view_ip
+    unban: PERMISSIONS.BAN,
+    list_bans: PERMISSIONS.BAN,
+    set_filters: PERMISSIONS.MANAGE_USERS,
+    set_subscription: PERMISSIONS.MANAGE_USERS,
+    clear_subscription: PERMISSIONS.MANAGE_USERS,
+    user_detail: PERMISSIONS.VIEW_STATS,
+    connection_stats: PERMISSIONS.VIEW_STATS,
+    list_sinks: PERMISSIONS.MANAGE_USERS,
+    add_sink: PERMISSIONS.MANAGE_USERS,
+    remove_sink: PERMISSIONS.MANAGE_USERS,
+    audit_log: PERMISSIONS.MANAGE_USERS,
+    config: PERMISSIONS.VIEW_STATS,
+    reload_config: PERMISSIONS.MANAGE_USERS
+};
+
+// Admin commands whose target is not a username
+// (ban and unban take a username or an IP/CIDR and validate it themselves)
+const NON_USER_ADMIN_COMMANDS = ['connection_stats', 'list_sinks', 'add_sink', 'remove_sink', 'audit_log', 'ban', 'unban', 'list_bans',
+    'config', 'reload_config'];
+const TARGETLESS_ADMIN_COMMANDS = ['list_sinks', 'audit_log', 'list_bans', 'config', 'reload_config'];
+// Admin commands that change nothing, audited without before/after state
+const READ_ONLY_ADMIN_COMMANDS = ['user_detail', 'connection_stats', 'list_sinks', 'audit_log', 'list_bans', 'config'];
 
 class WebSocketServer {
-    constructor() {
+    // `new WebSocketServer()` is the standalone server, configured from CONFIG_FILE and the environment
+    // (utils/config.js). Embedders and tests can pass db (storage backend) and bus, and override any
+    // setting by name, e.g. { port: 0 } for any free port (see this.port after start) or
+    // { authTimeoutMs: 500, rateLimits: {...} }.
+    constructor({ db = null, bus = null, ...overrides } = {}) {
+        // Settings; reloadConfig() loads them again from CONFIG_FILE (see there)
+        this.configOverrides = overrides;
+        const { values, sources } = loadConfig({ overrides });
+        this.config = values;
+        this.configSources = sources;
+
+        this.httpServer = null;
         this.wss = null;
-        this.db = new Database();
-        this.clients = new Map(); // clientId -> { ws, username, isBroadcaster, isAdmin, authenticated, authTimer, ip, connectedAt, messagesReceived }
-        this.rateLimiter = new RateLimiter(RATE_LIMIT_MESSAGES, RATE_LIMIT_WINDOW);
+        this.port = this.config.port;
+        this.db = db || createStorage(this.config.storageBackend, { seedFile: this.config.storageSeedFile });
+        this.clients = new Map(); // clientId -> { ws, username, role, permissions, authenticated, authTimer, ip, connectedAt, messagesReceived }
+        // Token buckets per user (per IP before login) and command class, plus per-source publish quotas.
+        // Keyed by username so reconnecting doesn't refill them.
+        this.rateLimiter = new TokenBucketLimiter();
+        this.rateLimits = null; // resolved from the config by applyConfig()
+        this.sourceQuotas = null;
         this.pingInterval = null;
+        this.maintenanceIntervals = []; // cleanup timers, cleared on shutdown
         this.clientIdCounter = 0;
 
         // Global stats
@@ -35,6 +146,8 @@ class WebSocketServer {
             totalBroadcasts: 0,
             totalMessagesDelivered: 0,
             totalAuthFailures: 0,
+            totalDroppedMessages: 0, // broadcasts dropped or coalesced for slow receivers
+            slowConsumerDisconnects: 0,
             peakConnections: 0,
             serverStartedAt: Date.now()
         };
@@ -44,54 +157,269 @@ class WebSocketServer {
 
         // IP connection tracking (for DoS protection)
         this.connectionsPerIP = new Map(); // ip -> count
+
+        // Backpressure: sessions with queued broadcasts, and broadcasts dropped per user since startup
+        this.backloggedClients = new Set(); // clientIds
+        this.droppedByUser = new Map(); // username -> count
+        this.outboxInterval = null;
+
+        // At-least-once delivery for receivers in ack mode
+        this.deliveries = new DeliveryTracker({
+            ackTimeoutMs: this.config.ackTimeoutMs,
+            maxAttempts: this.config.ackMaxAttempts,
+            pendingTtlMs: ACK_PENDING_TTL_MS,
+            resend: (username, message) => this.sendToAckSessions(username, { ...message, redelivered: true }),
+            report: (report) => this.sendDeliveryReport(report)
+        });
+        this.deliveryInterval = null;
+        this.banRefreshInterval = null;
+
+        // Proxies whose forwarding headers are believed (TRUSTED_PROXIES: CIDRs or a hop count)
+        this.trustedProxies = parseTrustedProxies(this.config.trustedProxies);
+        this.warnedUntrustedForwarding = false;
+
+        // Failed-login counters and lockouts per IP and per attempted username
+        this.authLockout = new AuthLockout({
+            windowMs: AUTH_FAILURE_WINDOW_MS,
+            maxFailuresPerIp: this.config.authMaxFailuresPerIp,
+            maxFailuresPerUser: this.config.authMaxFailuresPerUser,
+            baseCooldownMs: this.config.authLockoutBaseMs,
+            maxCooldownMs: AUTH_LOCKOUT_MAX_MS
+        });
+        this.ipBans = []; // active IP/CIDR bans, see loadIpBans
+
+        // Outbound webhooks (generic JSON / Discord) for broadcasts
+        this.sinks = new SinkDispatcher(this.db, {
+            maxAttempts: this.config.sinkMaxAttempts,
+            retryBaseMs: this.config.sinkRetryBaseMs,
+            timeoutMs: SINK_TIMEOUT_MS
+        });
+
+        // Other instances: broadcasts, session control and presence travel over the bus
+        this.instanceId = this.config.instanceId || `${os.hostname()}-${crypto.randomBytes(3).toString('hex')}`;
+        this.bus = bus || createBus(this.config.clusterBus, this.db);
+        this.presence = new ClusterPresence({ ttlMs: PRESENCE_TTL_MS });
+        this.presenceSeq = 0;
+        this.presenceInterval = null;
+        this.presenceTimer = null; // pending presence update after a login / disconnect
+
+        // Prometheus metrics for GET /metrics
+        this.metrics = new MetricsRegistry();
+        this.registerMetrics();
+        this.shuttingDown = false; // fails /readyz while connections are being closed
+
+        this.applyConfig();
+    }
+
+    // Push reloadable settings into the state derived from them. Sessions stay connected: their
+    // limits change in place (lowering a connection limit doesn't close sessions over it).
+    applyConfig() {
+        const c = this.config;
+        logger.setLevel(c.logLevel);
+        this.rateLimits = resolveRateLimits(c.rateLimits);
+        this.sourceQuotas = resolveSourceQuotas(c.sourceQuotas);
+
+        this.deliveries.ackTimeoutMs = c.ackTimeoutMs;
+        this.deliveries.maxAttempts = c.ackMaxAttempts;
+        this.authLockout.maxFailures = { ip: c.authMaxFailuresPerIp, user: c.authMaxFailuresPerUser };
+        this.authLockout.baseCooldownMs = c.authLockoutBaseMs;
+        this.sinks.maxAttempts = c.sinkMaxAttempts;
+        this.sinks.retryBaseMs = c.sinkRetryBaseMs;
+        for (const client of this.clients.values()) {
+            client.outbox.policy = c.outboxPolicy;
+            client.outbox.maxMessages = c.outboxMaxMessages;
+        }
+    }
+
+    // Re-read CONFIG_FILE and layer the environment and overrides over it again. Those two can't change
+    // in a running process, so only values that come from the file can change here. An invalid config
+    // throws and changes nothing; otherwise the reloadable settings that changed are applied.
+    // Returns { applied, restartRequired } (setting names).
+    reloadConfig() {
+        const next = loadConfig({ overrides: this.configOverrides });
+        const changed = changedSettings(this.config, next.values);
+        const applied = changed.filter(name => SETTINGS[name].reloadable);
+        const restartRequired = changed.filter(name => !SETTINGS[name].reloadable);
+
+        for (const name of applied) {
+            this.config[name] = next.values[name];
+            this.configSources[name] = next.sources[name];
+        }
+        this.applyConfig();
+
+        logger.info('Configuration reloaded', { applied, restartRequired });
+        return { applied, restartRequired };
+    }
+
+    // Counters and gauges backed by this.stats and other existing state are read at scrape time;
+    // the rest are updated where the event happens (this.counters / this.dbQueryDuration)
+    registerMetrics() {
+        const m = this.metrics;
+        m.gauge('relay_connections', 'Open WebSocket connections', { collect: () => this.clients.size });
+        m.gauge('relay_authenticated_users', 'Authenticated WebSocket sessions', { collect: () => this.countAuthenticatedUsers() });
+        m.counter('relay_connections_total', 'WebSocket connections accepted', { collect: () => this.stats.totalConnections });
+        m.counter('relay_disconnections_total', 'WebSocket connections closed', { collect: () => this.stats.totalDisconnections });
+        m.counter('relay_auth_failures_total', 'Failed logins and HTTP authentications', { collect: () => this.stats.totalAuthFailures });
+        m.counter('relay_auth_lockouts_total', 'Lockouts started after repeated failed logins', { collect: () => this.authLockout.totalLockouts });
+        m.gauge('relay_pending_acks', 'Broadcasts awaiting an ack from ack-mode receivers', { collect: () => this.deliveries.pendingCount() });
+        m.gauge('relay_outbox_queued_messages', 'Broadcasts queued for slow receivers', {
+            collect: () => [...this.backloggedClients].reduce((sum, id) => {
+                const client = this.clients.get(id);
+                return sum + (client ? client.outbox.size : 0);
+            }, 0)
+        });
+        m.counter('relay_dropped_messages_total', 'Broadcasts dropped or coalesced for slow receivers', { collect: () => this.stats.totalDroppedMessages });
+        m.counter('relay_slow_consumer_disconnects_total', 'Sessions closed by the disconnect outbox policy', { collect: () => this.stats.slowConsumerDisconnects });
+        m.gauge('relay_db_pool_connections', 'Database pool connections (waiting = queries queued for one)', {
+            labelNames: ['state'],
+            collect: () => Object.entries(this.db.poolState()).map(([state, value]) => ({ labels: { state }, value }))
+        });
+        m.gauge('relay_start_time_seconds', 'Server start time (unix seconds)', { collect: () => this.stats.serverStartedAt / 1000 });
+        m.gauge('relay_cluster_peers', 'Other instances heard from on the cluster bus', { collect: () => this.presence.live().length });
+
+        this.counters = {
+            broadcasts: m.counter('relay_broadcasts_total', 'Broadcasts published', { labelNames: ['source'] }),
+            deliveries: m.counter('relay_deliveries_total', 'Broadcasts sent to receiver sessions', { labelNames: ['source'] }),
+            rateLimited: m.counter('relay_rate_limited_total', 'Requests refused by a rate limit', { labelNames: ['class'] }),
+            sourceQuotaRejections: m.counter('relay_source_quota_rejections_total', 'Broadcasts refused by a per-source quota', { labelNames: ['source'] }),
+            pingTimeouts: m.counter('relay_ping_timeouts_total', 'Connections terminated for not answering a ping'),
+            dbQueryErrors: m.counter('relay_db_query_errors_total', 'Failed database queries', { labelNames: ['operation'] })
+        };
+        this.dbQueryDuration = m.histogram('relay_db_query_duration_seconds', 'Database query latency', { labelNames: ['operation'] });
+        this.db.onQuery = (operation, seconds, ok) => {
+            this.dbQueryDuration.observe({ operation }, seconds);
+            if (!ok) this.counters.dbQueryErrors.inc({ operation });
+        };
     }
 
     async start() {
         // Test database connection
         const connected = await this.db.testConnection();
         if (!connected) {
-            logger.error('Failed to connect to database. Exiting.');
-            process.exit(1);
+            throw new Error('Failed to connect to database');
         }
 
+        await this.sinks.load();
+        await this.loadIpBans();
+        await this.bus.start((event) => this.handleClusterEvent(event));
+
+        // HTTP server for the REST endpoints; WebSocket upgrades share the same port
+        this.httpServer = http.createServer((req, res) => this.handleHttpRequest(req, res));
+
         // Create WebSocket server
-        this.wss = new WebSocket.Server({ port: PORT });
+        this.wss = new WebSocket.Server({
+            server: this.httpServer,
+            verifyClient: (info, done) => this.verifyHandshake(info, done),
+            // Only the envelope subprotocol is negotiated; anything else falls back to legacy
+            handleProtocols: (protocols) => protocols.has(SUBPROTOCOL) ? SUBPROTOCOL : false
+        });
+
+        await new Promise((resolve) => this.httpServer.listen(this.port, resolve));
+        this.port = this.httpServer.address().port;
 
         this.wss.on('connection', (ws, req) => this.handleConnection(ws, req));
 
         // Setup ping interval (15s, no pong wait)
-        this.pingInterval = setInterval(() => this.sendPings(), PING_INTERVAL_MS);
+        this.pingInterval = setInterval(() => this.sendPings(), this.config.pingIntervalMs);
+
+        // Re-send unacknowledged messages and flush delivery reports
+        this.deliveryInterval = setInterval(() => this.deliveries.check(), 1000);
+
+        // Send queued broadcasts as slow receivers catch up
+        this.outboxInterval = setInterval(() => this.flushOutboxes(), OUTBOX_FLUSH_INTERVAL_MS);
+
+        // Tell the other instances who is connected here
+        this.publishPresence();
+        this.presenceInterval = setInterval(() => {
+            this.publishPresence();
+            this.presence.prune();
+        }, PRESENCE_INTERVAL_MS);
+
+        // Pick up IP bans that expired or were added elsewhere
+        this.banRefreshInterval = setInterval(() => this.loadIpBans(), BAN_REFRESH_INTERVAL_MS);
 
         // Cleanup rate limiter periodically
-        setInterval(() => this.rateLimiter.cleanup(), 60000);
+        this.maintenanceIntervals.push(setInterval(() => {
+            this.rateLimiter.cleanup();
+            this.authLockout.cleanup();
+        }, 60000));
 
-        // Weekly cleanup of old connection events (runs daily, deletes >7 days)
-        setInterval(() => this.db.cleanupOldEvents(), CLEANUP_INTERVAL_MS);
+        // Cleanup of old connection events (runs daily, deletes those older than eventRetentionDays)
+        this.maintenanceIntervals.push(setInterval(() => this.db.cleanupOldEvents(this.config.eventRetentionDays), CLEANUP_INTERVAL_MS));
         // Run initial cleanup on start
-        this.db.cleanupOldEvents();
+        this.db.cleanupOldEvents(this.config.eventRetentionDays);
+
+        // Broadcast history retention (same daily schedule)
+        this.maintenanceIntervals.push(setInterval(() => this.db.cleanupOldBroadcasts(this.config.broadcastRetentionHours), CLEANUP_INTERVAL_MS));
+        this.db.cleanupOldBroadcasts(this.config.broadcastRetentionHours);
+
+        logger.serverStarted(this.port);
+    }
+
+    // Reject upgrades carrying an invalid token; connections without a token use login instead
+    verifyHandshake(info, done) {
+        const token = extractToken(info.req);
+        if (!token) {
+            done(true);
+            return;
+        }
+
+        const ip = this.getClientIp(info.req);
+        const lockout = this.authLockout.check(ip);
+        if (lockout) {
+            done(false, 429, this.describeLockout(lockout));
+            return;
+        }
+
+        const result = verifyToken(token, this.config.tokenSecret);
+        if (!result.valid) {
+            logger.warn('Rejected handshake token', { reason: result.error });
+            this.recordAuthFailure(ip, null, this.getSocketIp(info.req));
+            done(false, 401, result.error);
+            return;
+        }
+
+        info.req.tokenClaims = result.claims;
+        done(true);
+    }
 
-        // Graceful shutdown
-        process.on('SIGTERM', () => this.shutdown());
-        process.on('SIGINT', () => this.shutdown());
+    // Real client IP: forwarding headers are only followed through trusted proxies (see resolveClientIp)
+    getClientIp(req) {
+        const trustsNobody = this.trustedProxies.hops === 0 ||
+            (this.trustedProxies.cidrs && this.trustedProxies.cidrs.length === 0);
+        if (trustsNobody && !this.warnedUntrustedForwarding && req.headers[this.config.forwardedHeader]) {
+            this.warnedUntrustedForwarding = true;
+            logger.warn('Ignoring forwarding headers because TRUSTED_PROXIES is not set; behind a proxy every client shares its IP');
+        }
+        return resolveClientIp(req.socket.remoteAddress, req.headers, this.trustedProxies, this.config.forwardedHeader);
+    }
 
-        logger.serverStarted(PORT);
+    // Address of the peer that opened the socket (the proxy, when there is one)
+    getSocketIp(req) {
+        return normalizeIp(req.socket.remoteAddress);
     }
 
     handleConnection(ws, req) {
         const clientId = ++this.clientIdCounter;
+        const ip = this.getClientIp(req);
+        const socketIp = this.getSocketIp(req);
 
-        // Extract real IP (handle proxy and IPv6-mapped IPv4)
-        const forwarded = req.headers['x-forwarded-for'];
-        let ip = forwarded ? forwarded.split(',')[0].trim() : req.socket.remoteAddress;
+        const ipBan = this.findIpBan(ip);
+        if (ipBan) {
+            logger.info(`Banned IP rejected: ${ip} (${ipBan.cidr})`);
+            ws.close(1008, 'Banned');
+            return;
+        }
 
-        // Clean up IPv6-mapped IPv4 (::ffff:192.168.1.1 -> 192.168.1.1)
-        if (ip && ip.startsWith('::ffff:')) {
-            ip = ip.substring(7);
+        // An IP that keeps failing to log in can't open new sockets until its lockout ends
+        if (this.authLockout.check(ip)) {
+            ws.close(1008, 'Too many failed logins');
+            return;
         }
 
         // IP-based connection rate limiting (DoS protection)
         const currentIPConns = this.connectionsPerIP.get(ip) || 0;
-        if (currentIPConns >= MAX_CONNECTIONS_PER_IP) {
+        if (currentIPConns >= this.config.maxConnectionsPerIp) {
             logger.info(`IP rate limit exceeded: ${ip} (${currentIPConns} connections)`);
             ws.close(1008, 'Too many connections from this IP');
             return;
@@ -102,12 +430,17 @@ class WebSocketServer {
 
         // Set message size limit
         ws.on('message', (data) => {
-            if (data.length > MAX_MESSAGE_SIZE) {
+            if (data.length > this.config.maxMessageSize) {
                 logger.invalidMessage(clientId, 'Message too large');
-                ws.send(JSON.stringify({ type: 'error', message: 'Message too large' }));
+                const c = this.clients.get(clientId);
+                if (c) this.sendError(c, ERROR_CODES.MESSAGE_TOO_LARGE, 'Message too large');
                 return;
             }
-            this.handleMessage(clientId, data);
+            this.handleMessage(clientId, data).catch((error) => {
+                const c = this.clients.get(clientId);
+                logger.error('Message handling failed', { clientId, username: c ? c.username : null, error: error.message });
+                ws.close(1011, 'Internal error');
+            });
         });
 
         ws.on('close', () => this.handleDisconnect(clientId));
@@ -123,196 +456,306 @@ class WebSocketServer {
 
         // Store client info
         const authTimer = setTimeout(() => {
-            if (!this.clients.get(clientId)?.authenticated) {
+            const c = this.clients.get(clientId);
+            if (c && !c.authenticated) {
                 logger.authTimeout(clientId);
-                ws.send(JSON.stringify({
-                    type: 'error',
-                    message: 'Authentication timeout. Send "login <username>" within 30 seconds.'
-                }));
+                this.sendError(c, ERROR_CODES.AUTH_TIMEOUT,
+                    `Authentication timeout. Send "login <username> <secret>" within ${Math.round(this.config.authTimeoutMs / 1000)} seconds.`);
                 ws.close(1008, 'Authentication timeout');
             }
-        }, AUTH_TIMEOUT_MS);
+        }, this.config.authTimeoutMs);
 
         this.stats.totalConnections++;
 
-        this.clients.set(clientId, {
+        const client = {
             ws,
+            protocol: ws.protocol === SUBPROTOCOL ? PROTOCOLS.V1 : PROTOCOLS.LEGACY,
             authenticated: false,
             username: null,
-            isBroadcaster: false,
+            role: null,
+            permissions: [],
+            isBroadcaster: false, // derived from permissions, for clients that predate roles
             isAdmin: false,
             sourceFilters: ['*'],
+            lockedFilters: null, // admin-locked default filters that cap sourceFilters
+            subscription: null, // compiled sourceFilters (within lockedFilters), set at login
             authTimer,
             ip,
+            socketIp, // differs from ip behind a proxy
             connectedAt: Date.now(),
             messagesReceived: 0,
+            replayBuffer: null, // Array while a resume is in progress
+            outbox: new Outbox({ policy: this.config.outboxPolicy, maxMessages: this.config.outboxMaxMessages }), // broadcasts waiting on a full send buffer
+            ackMode: false, // Receiver acknowledges broadcasts (at-least-once delivery)
             isAlive: true  // Track pong responses for stale connection detection
-        });
+        };
+        this.clients.set(clientId, client);
+
+        // Token was verified during the upgrade, skip the login step
+        if (req.tokenClaims) {
+            this.handleTokenLogin(clientId, req.tokenClaims).catch((error) => {
+                logger.error('Token login failed', { clientId, username: req.tokenClaims.sub, error: error.message });
+                ws.close(1011, 'Login failed');
+            });
+            return;
+        }
 
         // Send welcome message
-        ws.send(JSON.stringify({
+        this.send(client, {
             type: 'info',
-            message: 'Connected. Authenticate with: login <username> [source1, source2] or login <username> [*]'
-        }));
+            message: 'Connected. Authenticate with: login <username> <secret> [source1, source2] or login <username> <secret> [*]'
+        });
     }
 
     async handleMessage(clientId, data) {
         const client = this.clients.get(clientId);
         if (!client) return;
 
-        let message;
+        let request;
         try {
-            message = data.toString().trim();
+            request = parseMessage(data.toString().trim());
         } catch (error) {
             logger.invalidMessage(clientId, 'Invalid message format');
             return;
         }
 
-        // Check rate limit
-        if (!this.rateLimiter.tryAcquire(clientId)) {
-            logger.rateLimitExceeded(clientId, client.username);
-            client.ws.send(JSON.stringify({
-                type: 'error',
-                message: 'Rate limit exceeded. Please slow down.'
-            }));
-            return;
-        }
-
-        // Handle login command
-        if (message.startsWith('login ')) {
-            await this.handleLogin(clientId, message);
-            return;
+        // Check rate limit for the command class. Acks are exempt once logged in; before that
+        // they only earn a not_authenticated reply, so they cost a general token like anything else.
+        let commandClass = request.error ? 'general' : COMMAND_CLASSES[request.op];
+        if (!commandClass && !client.authenticated) {
+            commandClass = 'general';
         }
-
-        // Require authentication for all other commands
-        if (!client.authenticated) {
-            client.ws.send(JSON.stringify({
-                type: 'error',
-                message: 'Not authenticated. Use: login <username>'
-            }));
-            return;
+        if (commandClass) {
+            const limit = this.takeRateLimitToken(client.authenticated ? client : null, client.ip, commandClass);
+            if (!limit.allowed) {
+                logger.rateLimitExceeded(clientId, client.username);
+                this.sendError(client, ERROR_CODES.RATE_LIMITED, this.describeRateLimit(commandClass, limit),
+                    request, { retryAfterMs: limit.retryAfterMs });
+                return;
+            }
         }
 
-        // Handle admin commands
-        if (message.startsWith('admin ')) {
-            await this.handleAdminCommand(clientId, message);
+        // Parser rejected the frame (bad JSON, unknown op, malformed login...)
+        if (request.error) {
+            this.sendError(client, request.error.code, request.error.message, request);
             return;
         }
 
-        // Handle stats command
-        if (message === 'stats') {
-            this.sendStats(clientId);
+        // Handle login command
+        if (request.op === 'login') {
+            await this.handleLogin(clientId, request);
             return;
         }
 
-        // Handle broadcast (only broadcasters can send)
-        if (message.startsWith('broadcast ')) {
-            await this.handleBroadcast(clientId, message);
+        // Require authentication for all other commands
+        if (!client.authenticated) {
+            this.sendError(client, ERROR_CODES.NOT_AUTHENTICATED, 'Not authenticated. Use: login <username> <secret>', request);
             return;
         }
 
-        // Try to parse as JSON broadcast message
-        try {
-            const jsonData = JSON.parse(message);
-            await this.handleBroadcast(clientId, message, jsonData);
-        } catch (error) {
-            client.ws.send(JSON.stringify({
-                type: 'error',
-                message: 'Unknown command. Available: broadcast <json>, stats, admin <command>'
-            }));
+        switch (request.op) {
+            case 'admin':
+                await this.handleAdminCommand(clientId, request);
+                break;
+            case 'stats':
+                await this.sendStats(clientId, request);
+                break;
+            case 'broadcast':
+                // Only broadcasters can send
+                await this.handleBroadcast(clientId, request);
+                break;
+            case 'resume':
+                await this.replayBroadcasts(clientId, request.payload.lastId, request);
+                break;
+            case 'ack':
+                // Acks are fire-and-forget, unknown ids (already acked or expired) are ignored
+                this.deliveries.ack(client.username, request.payload.messageId);
+                break;
+            case 'ack_mode':
+                this.setAckMode(clientId, request.payload.enabled, request);
+                break;
+            case 'subscribe':
+            case 'unsubscribe':
+            case 'filters':
+                this.updateFilters(clientId, request);
+                break;
         }
     }
 
-    async handleLogin(clientId, message) {
+    async handleLogin(clientId, request) {
         const client = this.clients.get(clientId);
         if (!client) return;
 
         if (client.authenticated) {
-            client.ws.send(JSON.stringify({
-                type: 'error',
-                message: 'Already authenticated'
-            }));
+            this.sendError(client, ERROR_CODES.ALREADY_AUTHENTICATED, 'Already authenticated', request);
             return;
         }
 
-        // Parse: login username [filter1, filter2]
-        const loginContent = message.substring(6).trim();
-
-        // Extract filters if present
-        let username, sourceFilters;
-        const filterMatch = loginContent.match(/^(\S+)\s*\[([^\]]*)\]$/);
+        // Logging in with an envelope switches the connection to the envelope protocol
+        if (request.envelope) {
+            client.protocol = PROTOCOLS.V1;
+        }
 
-        if (filterMatch) {
-            // Has filters: login username [source1, source2]
-            username = filterMatch[1];
-            const filterStr = filterMatch[2].trim();
-            if (filterStr === '') {
-                sourceFilters = []; // Empty = receive nothing
-            } else if (filterStr === '*') {
-                sourceFilters = ['*']; // * = receive all
-            } else {
-                sourceFilters = filterStr.split(',').map(s => s.trim().toLowerCase()).filter(s => s);
-            }
-        } else {
-            // No filters: login username (default to all)
-            username = loginContent;
-            sourceFilters = ['*'];
+        const { username, secret, sourceFilters } = request.payload;
+        const filters = compileFilters(sourceFilters);
+        if (!filters.valid) {
+            this.sendError(client, ERROR_CODES.INVALID_FILTERS, `Invalid filters: ${filters.error}`, request);
+            return;
         }
 
         // Validate username format
         const validation = validateUsername(username);
         if (!validation.valid) {
             logger.authAttempt(clientId, username, false);
-            client.ws.send(JSON.stringify({
-                type: 'error',
-                message: `Invalid username: ${validation.error}`
-            }));
+            this.recordAuthFailure(client.ip, null, client.socketIp);
+            this.sendError(client, ERROR_CODES.INVALID_USERNAME, `Invalid username: ${validation.error}`, request);
             return;
         }
 
         const validUsername = validation.username;
 
-        // Check whitelist
-        const isWhitelisted = await this.db.isUserWhitelisted(validUsername);
-        if (!isWhitelisted) {
+        // Locked-out IPs and usernames are refused before the secret is even checked
+        const lockout = this.authLockout.check(client.ip, validUsername);
+        if (lockout) {
             logger.authAttempt(clientId, validUsername, false);
-            this.stats.totalAuthFailures++;
-            this.db.logConnectionEvent(validUsername, client.ip, 'auth_fail', 'Not whitelisted');
-            client.ws.send(JSON.stringify({
-                type: 'error',
-                message: 'Access denied. Username not whitelisted.'
-            }));
-            client.ws.close(1008, 'Not whitelisted');
+            this.sendError(client, ERROR_CODES.LOCKED_OUT, this.describeLockout(lockout), request,
+                { retryAfterMs: lockout.retryAfterMs });
+            client.ws.close(1008, 'Too many failed logins');
             return;
         }
 
-        // Check concurrent connection limit (max 5 per username)
-        const currentConnections = this.countConnectionsForUsername(validUsername);
-        if (currentConnections >= MAX_CONNECTIONS_PER_USER) {
+        // Verify credentials (inactive users and users without a secret both fail here)
+        const secretHash = await this.db.getUserSecretHash(validUsername);
+        const validSecret = await verifySecret(secret, secretHash);
+        if (!validSecret) {
             logger.authAttempt(clientId, validUsername, false);
+            this.recordAuthFailure(client.ip, validUsername, client.socketIp);
+            this.db.logConnectionEvent(validUsername, client.ip, 'auth_fail', 'Invalid credentials', client.socketIp);
+            this.sendError(client, ERROR_CODES.INVALID_CREDENTIALS, 'Access denied. Invalid username or secret.', request);
+            client.ws.close(1008, 'Invalid credentials');
+            return;
+        }
+
+        const role = await this.db.getUserRole(validUsername);
+        const subscription = await this.resolveLoginFilters(validUsername, sourceFilters);
+
+        await this.completeLogin(clientId, validUsername, { role, ...subscription }, request);
+    }
+
+    // Filters for a new session: the requested (already validated) list, else the user's stored
+    // default, else everything. A locked default is returned as lockedFilters and caps the session.
+    async resolveLoginFilters(username, requested) {
+        const stored = await this.db.getUserSubscription(username);
+        let storedFilters = null;
+        if (stored) {
+            storedFilters = usableFilters(stored.filters);
+            if (storedFilters.length < stored.filters.length) {
+                logger.warn('Ignoring stored filters that no longer compile', {
+                    username, filters: stored.filters.filter(f => !storedFilters.includes(f))
+                });
+            }
+        }
+        const filters = compileFilters(requested !== undefined ? requested : storedFilters !== null ? storedFilters : undefined);
+        return {
+            sourceFilters: filters.filters,
+            lockedFilters: stored && stored.locked ? storedFilters : null
+        };
+    }
+
+    // Authenticate a connection from verified token claims. The account is checked again, so a
+    // token stops working as soon as its user is removed or their key is revoked, and the role
+    // comes from storage (a token's role claim would outlive a set_role demotion).
+    async handleTokenLogin(clientId, claims) {
+        const client = this.clients.get(clientId);
+        const requested = Array.isArray(claims.sources) ? claims.sources.map(String) : undefined;
+        const filters = compileFilters(requested);
+        if (!filters.valid) {
+            this.sendError(client, ERROR_CODES.INVALID_FILTERS, `Invalid filters in token: ${filters.error}`);
+            client.ws.close(1008, 'Invalid token filters');
+            return;
+        }
+
+        // The handshake only checked the IP; a locked-out username can't use a token either
+        const lockout = this.authLockout.check(client.ip, claims.sub);
+        if (lockout) {
+            logger.authAttempt(clientId, claims.sub, false);
+            this.sendError(client, ERROR_CODES.LOCKED_OUT, this.describeLockout(lockout), null,
+                { retryAfterMs: lockout.retryAfterMs });
+            client.ws.close(1008, 'Too many failed logins');
+            return;
+        }
+
+        const rejection = await this.checkTokenCredential(claims);
+        if (rejection) {
+            if (!this.clients.has(clientId)) return;
+            logger.authAttempt(clientId, claims.sub, false);
             this.stats.totalAuthFailures++;
-            this.db.logConnectionEvent(validUsername, client.ip, 'auth_fail', 'Max connections exceeded');
-            client.ws.send(JSON.stringify({
-                type: 'error',
-                message: `Maximum concurrent connections (${MAX_CONNECTIONS_PER_USER}) reached for this username.`
-            }));
-            client.ws.close(1008, 'Max connections exceeded');
+            this.db.logConnectionEvent(claims.sub, client.ip, 'auth_fail', rejection.reason, client.socketIp);
+            this.sendError(client, ERROR_CODES.INVALID_CREDENTIALS, rejection.message);
+            client.ws.close(1008, 'Account inactive');
             return;
         }
 
-        // Check if broadcaster
-        const isBroadcaster = await this.db.isBroadcaster(validUsername);
+        const subscription = await this.resolveLoginFilters(claims.sub, requested);
+
+        const role = await this.db.getUserRole(claims.sub);
+        await this.completeLogin(clientId, claims.sub, { role, ...subscription });
+    }
+
+    // A valid signature isn't enough: the user must still hold a key, and the token must not predate
+    // its last change (rotate_key). iat has second granularity, so a token from the same second passes.
+    async checkTokenCredential(claims) {
+        const credential = await this.db.getUserCredential(claims.sub);
+        if (!credential || !credential.secretHash) {
+            return {
+                reason: 'Token for a removed or revoked user',
+                message: 'Access denied. This account was removed or its key revoked.'
+            };
+        }
+        const changedAt = credential.secretUpdatedAt ? Math.floor(new Date(credential.secretUpdatedAt).getTime() / 1000) : 0;
+        if (typeof claims.iat !== 'number' || claims.iat < changedAt) {
+            return {
+                reason: 'Token issued before the key last changed',
+                message: 'Access denied. This token was issued before the account key last changed.'
+            };
+        }
+        return null;
+    }
+
+    // Shared tail of every login path: connection limit, session state, auth_success.
+    // sourceFilters and lockedFilters are canonical lists (see resolveLoginFilters).
+    async completeLogin(clientId, username, { role, sourceFilters, lockedFilters }, request = null) {
+        const client = this.clients.get(clientId);
+        if (!client) return;
+
+        const ban = await this.db.getActiveUserBan(username);
+        if (ban) {
+            logger.authAttempt(clientId, username, false);
+            this.db.logConnectionEvent(username, client.ip, 'banned', 'Login while banned', client.socketIp);
+            this.sendError(client, ERROR_CODES.BANNED, this.describeBan(ban), request);
+            client.ws.close(1008, 'Banned');
+            return;
+        }
 
-        // Check if admin
-        const isAdmin = await this.db.isAdmin(validUsername);
+        // Check concurrent connection limit (max 5 per username)
+        const currentConnections = this.countConnectionsForUsername(username);
+        if (currentConnections >= this.config.maxConnectionsPerUser) {
+            logger.authAttempt(clientId, username, false);
+            this.stats.totalAuthFailures++;
+            this.db.logConnectionEvent(username, client.ip, 'auth_fail', 'Max connections exceeded', client.socketIp);
+            this.sendError(client, ERROR_CODES.TOO_MANY_CONNECTIONS, `Maximum concurrent connections (${this.config.maxConnectionsPerUser}) reached for this username.`, request);
+            client.ws.close(1008, 'Max connections exceeded');
+            return;
+        }
 
         // Authentication successful
         clearTimeout(client.authTimer);
         client.authenticated = true;
-        client.username = validUsername;
-        client.isBroadcaster = isBroadcaster;
-        client.isAdmin = isAdmin;
+        client.username = username;
+        Object.assign(client, describeRole(role));
         client.sourceFilters = sourceFilters;
+        client.lockedFilters = lockedFilters;
+        client.subscription = buildSubscription(sourceFilters, lockedFilters);
 
         // Update peak connections
         const authCount = this.countAuthenticatedUsers();
@@ -321,22 +764,35 @@ class WebSocketServer {
         }
 
         // Log connection event
-        this.db.logConnectionEvent(validUsername, client.ip, 'connect', null);
+        this.db.logConnectionEvent(username, client.ip, 'connect', null, client.socketIp);
+        this.schedulePresence();
 
-        logger.authAttempt(clientId, validUsername, true);
-        logger.info('Source filters set', { username: validUsername, filters: sourceFilters });
+        logger.authAttempt(clientId, username, true);
+        logger.info('Source filters set', { username, filters: sourceFilters, lockedFilters });
 
-        client.ws.send(JSON.stringify({
+        this.send(client, {
             type: 'auth_success',
-            username: validUsername,
-            isBroadcaster,
-            isAdmin,
+            username,
+            role: client.role,
+            permissions: client.permissions,
+            isBroadcaster: client.isBroadcaster,
+            isAdmin: client.isAdmin,
             sourceFilters,
-            message: `Welcome, ${validUsername}! Filters: ${sourceFilters.length === 0 ? 'none' : sourceFilters.join(', ')}`
-        }));
+            ...(lockedFilters && { lockedFilters }),
+            message: `Welcome, ${username}! Filters: ${this.describeFilters(client)}`
+        }, request);
+
+        // Login with a resume cursor: catch up on missed broadcasts before live traffic
+        if (request && request.payload.resume !== undefined) {
+            await this.replayBroadcasts(clientId, request.payload.resume, request);
+        }
+
+        if (request && request.payload.ack) {
+            this.setAckMode(clientId, true, request);
+        }
     }
 
-    // Count active authenticated connections for a specific username
+    // Count active authenticated connections for a specific username, on every instance
     countConnectionsForUsername(username) {
         let count = 0;
         for (const [id, c] of this.clients.entries()) {
@@ -344,10 +800,10 @@ class WebSocketServer {
                 count++;
             }
         }
-        return count;
+        return count + this.presence.countFor(username);
     }
 
-    // Count all authenticated users
+    // Count all authenticated users (on this instance)
     countAuthenticatedUsers() {
         let count = 0;
         for (const [id, c] of this.clients.entries()) {
@@ -358,79 +814,139 @@ class WebSocketServer {
         return count;
     }
 
-    async handleBroadcast(clientId, rawMessage, jsonData = null) {
+    async handleBroadcast(clientId, request) {
         const client = this.clients.get(clientId);
         if (!client) return;
 
-        // Check if user is a broadcaster
-        if (!client.isBroadcaster) {
-            client.ws.send(JSON.stringify({
-                type: 'error',
-                message: 'Permission denied. Only broadcasters can send messages.'
-            }));
+        if (!hasPermission(client, PERMISSIONS.BROADCAST)) {
+            this.sendError(client, ERROR_CODES.PERMISSION_DENIED, 'Permission denied. Only broadcasters can send messages.', request);
             return;
         }
 
-        let broadcastData;
-
-        if (jsonData) {
-            // Already parsed JSON
-            broadcastData = jsonData;
-        } else {
-            // Parse from "broadcast <json>" format
-            const jsonString = rawMessage.substring(10).trim();
-            try {
-                broadcastData = JSON.parse(jsonString);
-            } catch (error) {
-                client.ws.send(JSON.stringify({
-                    type: 'error',
-                    message: 'Invalid JSON format'
-                }));
-                return;
-            }
+        const result = await this.publishBroadcast(client.username, request.payload, { clientId, request });
+        if (!result.ok) {
+            this.sendError(client, result.code, result.error, request,
+                result.retryAfterMs !== undefined ? { retryAfterMs: result.retryAfterMs } : null);
+            return;
         }
 
+        // Send confirmation to broadcaster
+        this.send(client, {
+            type: 'broadcast_sent',
+            messageId: result.messageId,
+            recipients: result.recipients,
+            awaitingAck: result.awaitingAck,
+            message: `Broadcast sent to ${result.recipients} clients`
+        }, request);
+    }
+
+    // Check a source against the broadcaster's granted sources (names or globs, '*' = any)
+    async canPublishTo(username, source) {
+        const granted = await this.db.getBroadcasterSources(username);
+        const filters = compileFilters(granted);
+        return filters.valid && filters.subscription.matches(broadcastTarget({ source }));
+    }
+
+    // Validate, persist and fan out a broadcast. Shared by WebSocket broadcasters and HTTP ingestion
+    // (the broadcaster role check is the caller's job, source ownership is checked here).
+    // reportTo receives the broadcast_delivery follow-up.
+    // Returns { ok: true, messageId, recipients, awaitingAck } or { ok: false, code, error }
+    async publishBroadcast(sender, broadcastData, reportTo = null) {
         // Validate broadcast message format
         const validation = validateBroadcastMessage(broadcastData);
         if (!validation.valid) {
-            client.ws.send(JSON.stringify({
-                type: 'error',
-                message: `Invalid broadcast: ${validation.error}`
-            }));
-            return;
+            return { ok: false, code: ERROR_CODES.INVALID_BROADCAST, error: `Invalid broadcast: ${validation.error}` };
         }
 
-        // Format and send to all authenticated clients based on their source filters
+        // Broadcasters may only publish under the sources they were granted
+        if (!(await this.canPublishTo(sender, broadcastData.source))) {
+            logger.warn('Broadcast to unauthorized source', { username: sender, source: broadcastData.source });
+            return {
+                ok: false,
+                code: ERROR_CODES.PERMISSION_DENIED,
+                error: `Permission denied. You are not allowed to publish to source '${broadcastData.source}'.`
+            };
+        }
+
+        // Format, persist (the id becomes the replay cursor) and send to all
+        // authenticated clients based on their source filters
         const formattedMessage = formatBroadcast(broadcastData);
-        const broadcastSource = broadcastData.source.toLowerCase();
+        const target = broadcastTarget(formattedMessage);
+        const broadcastSource = target.source;
+
+        // Per-source publish quota, shared by everyone publishing to the source
+        const quota = this.sourceQuotas[broadcastSource] || this.sourceQuotas['*'];
+        if (quota) {
+            const limit = this.rateLimiter.take(`source:${broadcastSource}`, quota);
+            if (!limit.allowed) {
+                logger.rateLimitExceeded(null, sender);
+                this.counters.sourceQuotaRejections.inc({ source: broadcastSource });
+                return {
+                    ok: false,
+                    code: ERROR_CODES.RATE_LIMITED,
+                    error: this.describeRateLimit(`source '${broadcastSource}'`, limit),
+                    retryAfterMs: limit.retryAfterMs
+                };
+            }
+        }
+        formattedMessage.messageId = await this.db.saveBroadcast(sender, broadcastSource, formattedMessage);
+        const { recipients, awaitingAck } = this.fanOut(formattedMessage, sender, reportTo);
+
+        // Receivers on the other instances
+        this.publishClusterBroadcast(formattedMessage, sender);
+
+        // Forward to outbound webhooks (retried in the background)
+        this.sinks.dispatch(formattedMessage);
+
+        this.stats.totalBroadcasts++;
+        this.counters.broadcasts.inc({ source: broadcastSource });
+
+        logger.broadcastSent(sender, recipients);
+
+        return { ok: true, messageId: formattedMessage.messageId, recipients, awaitingAck };
+    }
+
+    // Send a stored broadcast to the matching receivers on this instance and start ack tracking.
+    // Returns { recipients, awaitingAck } (this instance only).
+    fanOut(message, sender, reportTo = null) {
+        const target = broadcastTarget(message);
         let recipients = 0;
+        const ackRecipients = new Set(); // usernames, one pending entry per user
 
         for (const [id, otherClient] of this.clients.entries()) {
             if (otherClient.authenticated && otherClient.ws.readyState === WebSocket.OPEN) {
-                // Check source filters
-                const filters = otherClient.sourceFilters || ['*'];
+                if (!otherClient.subscription.matches(target)) continue;
 
-                // Empty filters = receive nothing
-                if (filters.length === 0) continue;
-
-                // * = receive all, otherwise check if source matches
-                if (filters[0] !== '*' && !filters.includes(broadcastSource)) continue;
-
-                otherClient.ws.send(JSON.stringify(formattedMessage));
+                // Replay in progress: hold live traffic until the missed messages are sent
+                if (otherClient.replayBuffer) {
+                    otherClient.replayBuffer.push(message);
+                } else if (!this.deliver(id, otherClient, message)) {
+                    continue; // disconnected as a slow consumer
+                }
                 otherClient.messagesReceived++;
                 recipients++;
+
+                if (otherClient.ackMode) {
+                    ackRecipients.add(otherClient.username);
+                }
             }
         }
 
-        this.stats.totalBroadcasts++;
+        // Unstored messages have no id to acknowledge, so they are delivered at most once
+        const awaitingAck = message.messageId !== null ? ackRecipients.size : 0;
+        if (awaitingAck > 0) {
+            this.deliveries.track(message, [...ackRecipients], reportTo);
+        }
+
         this.stats.totalMessagesDelivered += recipients;
+        this.counters.deliveries.inc({ source: target.source }, recipients);
 
         // Track recent broadcasts for activity feed
         this.recentBroadcasts.unshift({
-            id: Date.now(),
-            title: broadcastData.title,
-            source: broadcastData.source,
-            sender: client.username,
+            id: message.messageId || Date.now(),
+            title: message.title,
+            source: message.source,
+            sender,
             recipients,
             timestamp: new Date().toISOString()
         });
@@ -439,230 +955,1576 @@ class WebSocketServer {
             this.recentBroadcasts.pop();
         }
 
-        logger.broadcastSent(client.username, recipients);
+        return { recipients, awaitingAck };
+    }
 
-        // Send confirmation to broadcaster
-        client.ws.send(JSON.stringify({
-            type: 'broadcast_sent',
-            recipients,
-            message: `Broadcast sent to ${recipients} clients`
-        }));
+    // ===== Cluster =====
+
+    publishClusterEvent(event) {
+        this.bus.publish({ ...event, origin: this.instanceId }).catch((error) => {
+            logger.error('Cluster bus publish failed', { type: event.type, error: error.message });
+        });
     }
 
-    async handleAdminCommand(clientId, message) {
-        const client = this.clients.get(clientId);
-        if (!client) return;
+    // Broadcasts too large for the bus go by id; the other instances load them from the history
+    publishClusterBroadcast(message, sender) {
+        if (Buffer.byteLength(JSON.stringify(message)) <= this.bus.maxPayloadBytes - BUS_ENVELOPE_BYTES) {
+            this.publishClusterEvent({ type: 'broadcast', sender, message });
+        } else if (message.messageId !== null) {
+            this.publishClusterEvent({ type: 'broadcast', sender, messageId: message.messageId });
+        } else {
+            logger.warn('Broadcast too large for the cluster bus and not stored; other instances miss it', { sender });
+        }
+    }
 
-        // Check if user is an admin
-        if (!client.isAdmin) {
-            client.ws.send(JSON.stringify({
-                type: 'error',
-                message: 'Permission denied. Admin access required.'
-            }));
-            return;
+    // Apply an event from another instance (our own come back too and are ignored)
+    handleClusterEvent(event) {
+        if (event.origin === this.instanceId) return;
+
+        switch (event.type) {
+            case 'broadcast':
+                this.deliverClusterBroadcast(event).catch((error) => {
+                    logger.error('Cluster broadcast failed', { messageId: event.messageId, error: error.message });
+                });
+                break;
+            case 'kick':
+                this.kickLocalSessions(event.username, event.reason);
+                break;
+            case 'ban':
+                this.applyClusterBan(event.ban);
+                break;
+            case 'bans_changed':
+                this.loadIpBans();
+                break;
+            case 'sinks_changed':
+                this.sinks.load().catch((error) => logger.error('Failed to reload sinks', { error: error.message }));
+                break;
+            case 'user_update':
+                this.updateLocalSessions(event.username, event.updates, event.message);
+                break;
+            case 'presence':
+                this.presence.update(event);
+                break;
+            case 'leave':
+                this.presence.remove(event.origin);
+                break;
+            default:
+                logger.warn('Unknown cluster event', { type: event.type, origin: event.origin });
         }
+    }
 
-        const parts = message.split(' ');
-        const command = parts[1];
-        const password = parts[2];
-        const target = parts[3];
+    async deliverClusterBroadcast(event) {
+        const message = event.message || await this.db.getBroadcastById(event.messageId);
+        if (!message) return;
+        const { recipients } = this.fanOut(message, event.sender);
+        logger.info('Cluster broadcast delivered', { origin: event.origin, messageId: message.messageId, recipients });
+    }
 
-        // Check admin password (extra security layer)
-        const adminPassword = process.env.ADMIN_PASSWORD;
-        if (adminPassword && password !== adminPassword) {
-            client.ws.send(JSON.stringify({
-                type: 'error',
-                message: 'Invalid admin password.'
-            }));
-            return;
+    async applyClusterBan(ban) {
+        if (ban.cidr) {
+            await this.loadIpBans();
         }
+        this.disconnectLocalBanned(ban);
+    }
 
-        if (!target) {
-            client.ws.send(JSON.stringify({
-                type: 'error',
-                message: 'Usage: admin <command> <password> <username>'
-            }));
-            return;
-        }
+    // Announce this instance's sessions (split into parts if the bus limits payload size)
+    publishPresence() {
+        clearTimeout(this.presenceTimer);
+        this.presenceTimer = null;
 
-        // Validate target as username for user-related commands
-        // (connection_stats uses numeric target, so skip validation for it)
-        if (command !== 'connection_stats') {
-            const targetValidation = validateUsername(target);
-            if (!targetValidation.valid) {
-                client.ws.send(JSON.stringify({
-                    type: 'error',
-                    message: `Invalid target username: ${targetValidation.error}`
-                }));
-                return;
+        const users = {};
+        let authenticated = 0;
+        for (const c of this.clients.values()) {
+            if (c.authenticated) {
+                users[c.username] = (users[c.username] || 0) + 1;
+                authenticated++;
             }
         }
+        const parts = chunkUsers(users, this.bus.maxPayloadBytes - BUS_ENVELOPE_BYTES);
+        const seq = ++this.presenceSeq;
+        parts.forEach((part, i) => {
+            this.publishClusterEvent({
+                type: 'presence',
+                seq,
+                part: i,
+                parts: parts.length,
+                connections: this.clients.size,
+                authenticated,
+                users: part
+            });
+        });
+    }
+
+    // Publish presence soon after a login or disconnect, batching bursts of them
+    schedulePresence() {
+        if (this.presenceTimer) return;
+        this.presenceTimer = setTimeout(() => this.publishPresence(), 250);
+    }
+
+    // ===== HTTP Endpoints =====
 
+    async handleHttpRequest(req, res) {
+        let pathname = null;
         try {
-            switch (command) {
-                case 'add_user':
-                    await this.db.addUser(target);
-                    client.ws.send(JSON.stringify({
-                        type: 'admin_response',
-                        message: `User ${target} added to whitelist`
-                    }));
-                    break;
+            let url;
+            try {
+                url = new URL(req.url, 'http://localhost');
+            } catch (error) {
+                throw new HttpError(400, ERROR_CODES.BAD_REQUEST, 'Invalid request URL');
+            }
+            pathname = url.pathname;
 
-                case 'remove_user':
-                    await this.db.removeUser(target);
-                    client.ws.send(JSON.stringify({
-                        type: 'admin_response',
-                        message: `User ${target} removed from whitelist`
-                    }));
-                    break;
+            if (pathname === '/broadcast') {
+                if (req.method !== 'POST') {
+                    throw new HttpError(405, ERROR_CODES.METHOD_NOT_ALLOWED, 'Use POST /broadcast');
+                }
+                await this.handleHttpBroadcast(req, res);
+                return;
+            }
 
-                case 'add_broadcaster':
-                    await this.db.addBroadcaster(target);
-                    // Update connected user's status if they're online
-                    this.updateConnectedUserStatus(target, { isBroadcaster: true });
-                    client.ws.send(JSON.stringify({
-                        type: 'admin_response',
-                        message: `${target} granted broadcaster permissions`
-                    }));
-                    break;
+            if (pathname.startsWith('/admin/')) {
+                await this.handleHttpAdmin(req, res, url);
+                return;
+            }
 
-                case 'remove_broadcaster':
-                    await this.db.removeBroadcaster(target);
-                    // Update connected user's status if they're online
-                    this.updateConnectedUserStatus(target, { isBroadcaster: false });
-                    client.ws.send(JSON.stringify({
-                        type: 'admin_response',
-                        message: `${target} removed from broadcasters`
-                    }));
-                    break;
+            if (pathname === '/metrics' || pathname === '/healthz' || pathname === '/readyz') {
+                if (req.method !== 'GET') {
+                    throw new HttpError(405, ERROR_CODES.METHOD_NOT_ALLOWED, `Use GET ${pathname}`);
+                }
+                await this.handleHttpProbe(req, res, pathname);
+                return;
+            }
 
-                case 'kick':
-                    // Disconnect user without removing from whitelist
-                    const kicked = this.kickUser(target);
-                    client.ws.send(JSON.stringify({
-                        type: 'admin_response',
-                        message: kicked ? `${target} has been kicked` : `${target} is not connected`
-                    }));
-                    break;
+            throw new HttpError(404, ERROR_CODES.NOT_FOUND, 'Not found');
+        } catch (error) {
+            if (error instanceof HttpError) {
+                sendJson(res, error.status, { ok: false, code: error.code, error: error.message, ...error.details }, error.headers);
+                return;
+            }
+            logger.error('HTTP request failed', { path: pathname, error: error.message });
+            sendJson(res, 500, { ok: false, code: ERROR_CODES.INTERNAL_ERROR, error: 'Internal server error' });
+        }
+    }
 
-                case 'ban':
-                    // Remove from whitelist AND disconnect with event logging
-                    await this.banUser(target);
-                    client.ws.send(JSON.stringify({
-                        type: 'admin_response',
-                        message: `${target} has been banned and disconnected`
-                    }));
-                    break;
+    // Resolve the caller of an HTTP request from Basic (username:apiKey) or Bearer (access token) auth
+    async authenticateHttpRequest(req) {
+        const ip = this.getClientIp(req);
+        const ipBan = this.findIpBan(ip);
+        if (ipBan) {
+            throw new HttpError(403, ERROR_CODES.BANNED, this.describeBan(ipBan));
+        }
 
-                case 'user_detail':
-                    // Get detailed user info including connection history
-                    const history = await this.db.getConnectionHistory(target, 50);
-                    const summary = await this.db.getUserConnectionSummary(target);
-                    const activeConns = this.countConnectionsForUsername(target);
-                    client.ws.send(JSON.stringify({
-                        type: 'user_detail',
-                        username: target,
-                        activeConnections: activeConns,
-                        summary: summary,
-                        history: history
-                    }));
-                    break;
+        const auth = parseAuthorization(req.headers['authorization']);
+        if (!auth) {
+            throw new HttpError(401, ERROR_CODES.NOT_AUTHENTICATED,
+                'Authorization required: Basic <username:apiKey> or Bearer <token>');
+        }
 
-                case 'connection_stats':
-                    // Get aggregated connection stats for graphs
-                    const hoursBack = parseInt(target) || 24;
-                    const connStats = await this.db.getConnectionStats(hoursBack);
-                    const recentEvents = await this.db.getRecentEvents(30);
-                    client.ws.send(JSON.stringify({
-                        type: 'connection_stats',
-                        hoursBack,
-                        stats: connStats,
-                        recentEvents: recentEvents
-                    }));
-                    break;
+        const lockout = this.authLockout.check(ip, auth.type === 'basic' ? auth.username : null);
+        if (lockout) {
+            throw tooManyRequests(ERROR_CODES.LOCKED_OUT, this.describeLockout(lockout), lockout.retryAfterMs);
+        }
 
-                default:
-                    client.ws.send(JSON.stringify({
-                        type: 'error',
-                        message: 'Unknown command. Available: add_user, remove_user, add_broadcaster, remove_broadcaster, kick, ban, user_detail, connection_stats'
-                    }));
+        if (auth.type === 'bearer') {
+            const result = verifyToken(auth.token, this.config.tokenSecret);
+            if (!result.valid) {
+                this.recordAuthFailure(ip, null, this.getSocketIp(req));
+                throw new HttpError(401, ERROR_CODES.INVALID_CREDENTIALS, `Invalid token: ${result.error}`);
             }
-        } catch (error) {
-            client.ws.send(JSON.stringify({
-                type: 'error',
-                message: `Admin command failed: ${error.message}`
-            }));
+            const userLockout = this.authLockout.check(ip, result.claims.sub);
+            if (userLockout) {
+                throw tooManyRequests(ERROR_CODES.LOCKED_OUT, this.describeLockout(userLockout), userLockout.retryAfterMs);
+            }
+            const rejection = await this.checkTokenCredential(result.claims);
+            if (rejection) {
+                throw new HttpError(401, ERROR_CODES.INVALID_CREDENTIALS, rejection.message);
+            }
+            await this.requireNotBanned(result.claims.sub);
+            return { username: result.claims.sub, ip, ...describeRole(await this.db.getUserRole(result.claims.sub)) };
         }
-    }
 
-    // Kick a user by username (with optional event logging)
-    kickUser(username, reason = 'Kicked by admin') {
-        for (const [id, c] of this.clients.entries()) {
-            if (c.username === username) {
-                // Log the kick event
-                this.db.logConnectionEvent(username, c.ip, 'kicked', reason);
-                c.ws.send(JSON.stringify({ type: 'error', message: 'You have been kicked by an admin' }));
-                c.ws.close(1008, 'Kicked by admin');
-                return true;
+        const validation = validateUsername(auth.username);
+        const secretHash = validation.valid ? await this.db.getUserSecretHash(validation.username) : null;
+        if (!(await verifySecret(auth.secret, secretHash))) {
+            this.recordAuthFailure(ip, validation.valid ? validation.username : null, this.getSocketIp(req));
+            if (validation.valid) {
+                this.db.logConnectionEvent(validation.username, ip, 'auth_fail', 'Invalid credentials (HTTP)', this.getSocketIp(req));
             }
+            throw new HttpError(401, ERROR_CODES.INVALID_CREDENTIALS, 'Access denied. Invalid username or secret.');
         }
-        return false;
+
+        await this.requireNotBanned(validation.username);
+        return {
+            username: validation.username,
+            ip,
+            ...describeRole(await this.db.getUserRole(validation.username))
+        };
     }
 
-    // Ban a user (kick and log ban event)
-    async banUser(username) {
-        // Log ban event for all connections of this user
-        for (const [id, c] of this.clients.entries()) {
-            if (c.username === username) {
-                this.db.logConnectionEvent(username, c.ip, 'banned', 'Banned by admin');
-            }
+    // Take a token for a request of a command class from the subject's bucket (a logged-in session or
+    // HTTP caller, keyed by username), or from the IP's bucket when there is no subject yet
+    takeRateLimitToken(subject, ip, commandClass) {
+        const key = subject && commandClass !== 'login' ? `user:${subject.username}:${commandClass}` : `ip:${ip}:${commandClass}`;
+        const roleLimits = (subject && this.rateLimits[subject.role]) || {};
+        const limit = this.rateLimiter.take(key, roleLimits[commandClass] || this.rateLimits.default[commandClass]);
+        if (!limit.allowed) {
+            this.counters.rateLimited.inc({ class: commandClass });
         }
-        await this.db.removeUser(username);
-        this.kickUser(username, 'Banned by admin');
+        return limit;
     }
 
-    // Update a connected user's status (used when upgrading/downgrading)
-    updateConnectedUserStatus(username, updates) {
-        for (const [id, c] of this.clients.entries()) {
-            if (c.username === username) {
-                Object.assign(c, updates);
-                c.ws.send(JSON.stringify({
-                    type: 'status_update',
-                    ...updates,
-                    message: 'Your permissions have been updated'
-                }));
-            }
+    describeRateLimit(what, limit) {
+        return limit.retryAfterMs === null
+            ? `Rate limit exceeded: ${what} is not allowed.`
+            : `Rate limit exceeded for ${what}. Retry in ${Math.ceil(limit.retryAfterMs / 1000)}s.`;
+    }
+
+    // Count a failed login (username is the attempted one, if any) and log any lockout it triggers
+    recordAuthFailure(ip, username, socketIp = null) {
+        this.stats.totalAuthFailures++;
+        for (const lockout of this.authLockout.recordFailure(ip, username)) {
+            const seconds = Math.ceil(lockout.cooldownMs / 1000);
+            const what = lockout.kind === 'ip' ? 'IP' : 'Username';
+            logger.warn(`${what} locked out after failed logins`, { ip, username: lockout.kind === 'user' ? lockout.value : username, seconds });
+            this.db.logConnectionEvent(lockout.kind === 'user' ? lockout.value : username, ip, 'lockout',
+                `${what} locked for ${seconds}s after ${lockout.failures} failures`, socketIp);
         }
     }
 
-    async sendStats(clientId) {
+    describeLockout(lockout) {
+        const what = lockout.kind === 'ip' ? 'this IP' : 'this username';
+        return `Too many failed logins from ${what}. Try again in ${Math.ceil(lockout.retryAfterMs / 1000)}s.`;
+    }
+
+    async requireNotBanned(username) {
+        const ban = await this.db.getActiveUserBan(username);
+        if (ban) {
+            throw new HttpError(403, ERROR_CODES.BANNED, this.describeBan(ban));
+        }
+    }
+
+    // GET /metrics (Prometheus), /healthz (liveness) and /readyz (readiness). The probes take no
+    // credentials so load balancers and Railway can call them; /metrics needs METRICS_TOKEN if set.
+    async handleHttpProbe(req, res, pathname) {
+        if (pathname === '/metrics') {
+            const auth = parseAuthorization(req.headers['authorization']);
+            if (this.config.metricsToken && !(auth && auth.type === 'bearer' && auth.token === this.config.metricsToken)) {
+                throw new HttpError(401, ERROR_CODES.NOT_AUTHENTICATED, 'Authorization required: Bearer <METRICS_TOKEN>');
+            }
+            sendText(res, 200, this.metrics.render(), PROMETHEUS_CONTENT_TYPE);
+            return;
+        }
+
+        // Liveness only says the process is serving (restarting it won't fix a database outage),
+        // but reports the pool so a stuck one is visible
+        if (pathname === '/healthz') {
+            sendJson(res, 200, { status: 'ok', uptime: process.uptime(), db: this.db.poolState() });
+            return;
+        }
+
+        // Ready when a query can get a pooled connection, and not while shutting down
+        const reachable = await this.db.ping();
+        const ready = reachable && !this.shuttingDown;
+        sendJson(res, ready ? 200 : 503, {
+            status: ready ? 'ready' : 'not_ready',
+            shuttingDown: this.shuttingDown,
+            db: { reachable, ...this.db.poolState() }
+        });
+    }
+
+    // POST /broadcast with a broadcast object, or an array of them for a batch
+    async handleHttpBroadcast(req, res) {
+        const caller = await this.authenticateHttpRequest(req);
+        if (!hasPermission(caller, PERMISSIONS.BROADCAST)) {
+            throw new HttpError(403, ERROR_CODES.PERMISSION_DENIED, 'Permission denied. Only broadcasters can send messages.');
+        }
+
+        const body = await readJsonBody(req, MAX_HTTP_BODY_SIZE, { allowArray: true });
+        const batch = Array.isArray(body);
+        const items = batch ? body : [body];
+        if (items.length === 0 || items.length > MAX_BATCH_SIZE) {
+            throw new HttpError(400, ERROR_CODES.BAD_REQUEST, `Batch must contain 1 to ${MAX_BATCH_SIZE} broadcasts`);
+        }
+
+        const results = [];
+        for (const item of items) {
+            // Same bucket as the user's WebSocket broadcasts
+            const limit = this.takeRateLimitToken(caller, caller.ip, 'broadcast');
+            if (!limit.allowed) {
+                logger.rateLimitExceeded(null, caller.username);
+                results.push({
+                    ok: false,
+                    code: ERROR_CODES.RATE_LIMITED,
+                    error: this.describeRateLimit('broadcast', limit),
+                    retryAfterMs: limit.retryAfterMs
+                });
+                continue;
+            }
+
+            const result = await this.publishBroadcast(caller.username, item);
+            results.push(result.ok
+                ? { ok: true, messageId: result.messageId, recipients: result.recipients }
+                : { ok: false, code: result.code, error: result.error, ...(result.retryAfterMs !== undefined && { retryAfterMs: result.retryAfterMs }) });
+        }
+
+        if (!batch) {
+            const [result] = results;
+            const status = result.ok ? 200 : statusForErrorCode(result.code);
+            const headers = result.retryAfterMs ? { 'Retry-After': String(Math.ceil(result.retryAfterMs / 1000)) } : {};
+            sendJson(res, status, result, headers);
+            return;
+        }
+
+        sendJson(res, 200, {
+            ok: results.every(r => r.ok),
+            recipients: results.reduce((sum, r) => sum + (r.recipients || 0), 0),
+            results
+        });
+    }
+
+    // REST admin API, mirrors the `admin` WebSocket commands through executeAdminCommand.
+    // Requires an admin credential plus the X-Admin-Password header when ADMIN_PASSWORD is set.
+    async handleHttpAdmin(req, res, url) {
+        const caller = await this.authenticateHttpRequest(req);
+        if (!caller.isAdmin) {
+            throw new HttpError(403, ERROR_CODES.PERMISSION_DENIED, 'Permission denied. Admin access required.');
+        }
+        if (!this.checkAdminPassword(req.headers['x-admin-password'])) {
+            throw new HttpError(403, ERROR_CODES.INVALID_ADMIN_PASSWORD, 'Invalid admin password.');
+        }
+
+        // Shares the caller's WebSocket admin / stats buckets
+        const commandClass = req.method === 'GET' && url.pathname === '/admin/stats' ? 'stats' : 'admin';
+        const limit = this.takeRateLimitToken(caller, caller.ip, commandClass);
+        if (!limit.allowed) {
+            throw tooManyRequests(ERROR_CODES.RATE_LIMITED, this.describeRateLimit(commandClass, limit), limit.retryAfterMs);
+        }
+
+        // /admin/users/alice/kick -> "POST users/:name/kick", /admin/sinks/3 -> "DELETE sinks/:id",
+        // /admin/users/alice/sources/news -> "DELETE users/:name/sources/:source"
+        const segments = url.pathname.split('/').filter(s => s).slice(1);
+        const param = { users: ':name', sinks: ':id', bans: ':target' }[segments[0]];
+        const name = segments.length > 1 && param ? decodeURIComponent(segments[1]) : null;
+        const source = segments.length > 3 && segments[2] === 'sources' ? decodeURIComponent(segments[3]) : null;
+        const route = `${req.method} ${segments.map((s, i) => {
+            if (name !== null && i === 1) return param;
+            if (source !== null && i === 3) return ':source';
+            return s;
+        }).join('/')}`;
+
+        let reply;
+        try {
+            switch (route) {
+                case 'GET users': {
+                    this.requirePermission(caller, PERMISSIONS.VIEW_STATS);
+                    const users = await this.db.getAllUsers();
+                    reply = {
+                        type: 'users',
+                        users: users.map(u => ({ ...u, activeConnections: this.countConnectionsForUsername(u.username) }))
+                    };
+                    break;
+                }
+                case 'POST users': {
+                    // { "username": "alice", "role": "viewer" | "publisher" | "moderator" | "owner", "sources": ["news"] }
+                    const body = await readJsonBody(req, MAX_HTTP_BODY_SIZE);
+                    if (typeof body.username !== 'string') {
+                        throw new HttpError(400, ERROR_CODES.BAD_REQUEST, 'Body must include "username"');
+                    }
+                    if (body.role !== undefined && typeof body.role !== 'string') {
+                        throw new HttpError(400, ERROR_CODES.BAD_REQUEST, `"role" must be one of: ${ROLE_NAMES.join(', ')}`);
+                    }
+                    const sources = Array.isArray(body.sources) ? body.sources.map(String) : [];
+                    reply = await this.executeAdminCommand(caller, 'add_user', body.username, [body.role || '-', sources.join(',')]);
+                    break;
+                }
+                case 'GET users/:name':
+                    reply = await this.executeAdminCommand(caller, 'user_detail', name);
+                    break;
+                case 'DELETE users/:name':
+                    reply = await this.executeAdminCommand(caller, 'remove_user', name);
+                    break;
+                case 'PUT users/:name/role': {
+                    // { "role": "moderator" }
+                    const body = await readJsonBody(req, MAX_HTTP_BODY_SIZE);
+                    reply = await this.executeAdminCommand(caller, 'set_role', name, [String(body.role)]);
+                    break;
+                }
+                case 'POST users/:name/kick':
+                    reply = await this.executeAdminCommand(caller, 'kick', name);
+                    break;
+                case 'POST users/:name/ban': {
+                    // { "duration": "7d", "reason": "spam" }, both optional
+                    const body = await readJsonBody(req, MAX_HTTP_BODY_SIZE, { emptyValue: {} });
+                    reply = await this.executeAdminCommand(caller, 'ban', name, this.banArgs(body));
+                    break;
+                }
+                case 'POST users/:name/broadcaster':
+                    reply = await this.executeAdminCommand(caller, 'add_broadcaster', name);
+                    break;
+                case 'DELETE users/:name/broadcaster':
+                    reply = await this.executeAdminCommand(caller, 'remove_broadcaster', name);
+                    break;
+                case 'POST users/:name/sources': {
+                    // { "source": "news-*" }
+                    const body = await readJsonBody(req, MAX_HTTP_BODY_SIZE);
+                    if (typeof body.source !== 'string') {
+                        throw new HttpError(400, ERROR_CODES.BAD_REQUEST, 'Body must include "source"');
+                    }
+                    reply = await this.executeAdminCommand(caller, 'grant_source', name, [body.source]);
+                    break;
+                }
+                case 'DELETE users/:name/sources/:source':
+                    reply = await this.executeAdminCommand(caller, 'revoke_source', name, [source]);
+                    break;
+                case 'POST users/:name/key':
+                    reply = await this.executeAdminCommand(caller, 'rotate_key', name);
+                    break;
+                case 'DELETE users/:name/key':
+                    reply = await this.executeAdminCommand(caller, 'revoke_key', name);
+                    break;
+                case 'POST users/:name/token': {
+                    // { "ttlSeconds": 900, "sources": ["news"] }, both optional
+                    const body = await readJsonBody(req, MAX_HTTP_BODY_SIZE, { emptyValue: {} });
+                    const sources = Array.isArray(body.sources) ? body.sources.join(',') : '';
+                    reply = await this.executeAdminCommand(caller, 'mint_token', name, [String(body.ttlSeconds || ''), sources]);
+                    break;
+                }
+                case 'PUT users/:name/filters': {
+                    // { "filters": ["news-*", "!spam"] }
+                    const body = await readJsonBody(req, MAX_HTTP_BODY_SIZE);
+                    if (!Array.isArray(body.filters)) {
+                        throw new HttpError(400, ERROR_CODES.BAD_REQUEST, 'Body must include "filters" (array)');
+                    }
+                    reply = await this.executeAdminCommand(caller, 'set_filters', name, ['[' + body.filters.join(',') + ']']);
+                    break;
+                }
+                case 'PUT users/:name/subscription': {
+                    // { "filters": ["news-*"], "locked": true }
+                    const body = await readJsonBody(req, MAX_HTTP_BODY_SIZE);
+                    if (!Array.isArray(body.filters)) {
+                        throw new HttpError(400, ERROR_CODES.BAD_REQUEST, 'Body must include "filters" (array)');
+                    }
+                    const args = ['[' + body.filters.join(',') + ']'];
+                    if (body.locked === true) args.push('locked');
+                    reply = await this.executeAdminCommand(caller, 'set_subscription', name, args);
+                    break;
+                }
+                case 'DELETE users/:name/subscription':
+                    reply = await this.executeAdminCommand(caller, 'clear_subscription', name);
+                    break;
+                case 'GET events':
+                    reply = await this.executeAdminCommand(caller, 'connection_stats', url.searchParams.get('hours') || '24');
+                    break;
+                case 'GET stats':
+                    reply = { type: 'stats', data: await this.buildStats(caller) };
+                    break;
+                case 'GET sinks':
+                    reply = await this.executeAdminCommand(caller, 'list_sinks');
+                    break;
+                case 'POST sinks': {
+                    // { "source": "news" | "*", "kind": "json" | "discord", "url": "https://..." }
+                    const body = await readJsonBody(req, MAX_HTTP_BODY_SIZE);
+                    if (typeof body.source !== 'string' || typeof body.url !== 'string') {
+                        throw new HttpError(400, ERROR_CODES.BAD_REQUEST, 'Body must include "source" and "url"');
+                    }
+                    reply = await this.executeAdminCommand(caller, 'add_sink', body.source, [body.kind || 'json', body.url]);
+                    break;
+                }
+                case 'DELETE sinks/:id':
+                    reply = await this.executeAdminCommand(caller, 'remove_sink', name);
+                    break;
+                case 'GET bans':
+                    reply = await this.executeAdminCommand(caller, 'list_bans');
+                    break;
+                case 'POST bans': {
+                    // { "target": "alice" | "203.0.113.7" | "203.0.113.0/24", "duration": "24h", "reason": "..." }
+                    const body = await readJsonBody(req, MAX_HTTP_BODY_SIZE);
+                    if (typeof body.target !== 'string') {
+                        throw new HttpError(400, ERROR_CODES.BAD_REQUEST, 'Body must include "target"');
+                    }
+                    reply = await this.executeAdminCommand(caller, 'ban', body.target, this.banArgs(body));
+                    break;
+                }
+                case 'DELETE bans/:target':
+                    reply = await this.executeAdminCommand(caller, 'unban', name);
+                    break;
+                case 'GET config':
+                    reply = await this.executeAdminCommand(caller, 'config');
+                    break;
+                case 'POST config/reload':
+                    reply = await this.executeAdminCommand(caller, 'reload_config');
+                    break;
+                case 'GET audit': {
+                    // ?actor=alice&target=bob&since=24h&until=2024-01-31T00:00:00Z&limit=100
+                    const filters = ['actor', 'target', 'since', 'until', 'limit']
+                        .filter(key => url.searchParams.has(key))
+                        .map(key => `${key}=${url.searchParams.get(key)}`);
+                    reply = await this.executeAdminCommand(caller, 'audit_log', null, filters);
+                    break;
+                }
+                default:
+                    throw new HttpError(404, ERROR_CODES.NOT_FOUND, `No admin route for ${req.method} ${url.pathname}`);
+            }
+        } catch (error) {
+            if (error instanceof CommandError) {
+                throw new HttpError(statusForErrorCode(error.code), error.code, error.message);
+            }
+            throw error;
+        }
+
+        sendJson(res, 200, { ok: true, ...reply });
+    }
+
+    // ban command args from a REST body: [duration] [reason]
+    banArgs(body) {
+        const duration = typeof body.duration === 'string' ? body.duration : 'permanent';
+        if (duration !== 'permanent' && this.parseDuration(duration) === null) {
+            throw new HttpError(400, ERROR_CODES.BAD_REQUEST, '"duration" must look like 30m, 24h or 7d');
+        }
+        const args = [duration];
+        if (typeof body.reason === 'string') args.push(body.reason);
+        return args;
+    }
+
+    // Send stored broadcasts newer than lastId that match the client's filters, then resume live traffic.
+    // Live broadcasts arriving during the query are buffered so nothing is lost or reordered.
+    async replayBroadcasts(clientId, lastId, request = null) {
+        const client = this.clients.get(clientId);
+        if (!client) return;
+
+        if (client.replayBuffer) {
+            this.sendError(client, ERROR_CODES.BAD_REQUEST, 'Replay already in progress', request);
+            return;
+        }
+
+        client.replayBuffer = [];
+        // Plain source lists are filtered by the query; globs, negations and title/host
+        // filters are applied here, so the scan can return rows the client doesn't get
+        const subscription = client.subscription;
+        const scanned = subscription.isEmpty()
+            ? []
+            : await this.db.getBroadcastsSince(lastId, subscription.exactSources(),
+                this.config.replayMaxMessages, this.config.broadcastRetentionHours);
+
+        // Client may have disconnected while we were querying
+        if (!this.clients.has(clientId)) return;
+
+        // Replayed rows go through the outbox like live traffic, so a receiver that stops reading
+        // can't make the server buffer its whole history
+        let replayed = 0;
+        for (const message of scanned) {
+            if (subscription.matches(broadcastTarget(message))) {
+                if (!this.deliver(clientId, client, { ...message, replayed: true })) {
+                    client.replayBuffer = null;
+                    return;
+                }
+                client.messagesReceived++;
+                replayed++;
+            }
+        }
+        // The cursor covers everything scanned, so filtered-out rows aren't fetched again
+        const lastMessageId = scanned.length > 0 ? scanned[scanned.length - 1].messageId : lastId;
+
+        this.send(client, {
+            type: 'replay_complete',
+            fromId: lastId,
+            lastMessageId,
+            replayed,
+            truncated: scanned.length >= this.config.replayMaxMessages, // resume again from lastMessageId for more
+            message: `Replayed ${replayed} missed broadcasts`
+        }, request);
+
+        // Flush live traffic that arrived meanwhile, skipping anything already replayed
+        const buffered = client.replayBuffer;
+        client.replayBuffer = null;
+        for (const message of buffered) {
+            if (message.messageId === null || message.messageId > lastMessageId) {
+                if (!this.deliver(clientId, client, message)) return;
+            }
+        }
+    }
+
+    // subscribe / unsubscribe / filters: change a session's filters without reconnecting.
+    // Replies with the resulting set; `filters` without a list only reports it.
+    updateFilters(clientId, request) {
+        const client = this.clients.get(clientId);
+        if (!client) return;
+
+        const requested = request.payload.filters;
+        let next = client.sourceFilters;
+        if (request.op === 'subscribe') {
+            next = [...client.sourceFilters, ...requested];
+        } else if (request.op === 'unsubscribe') {
+            const removed = canonicalFilters(requested);
+            next = client.sourceFilters.filter(f => !removed.includes(f));
+        } else if (requested !== undefined) {
+            next = requested;
+        }
+
+        if (next !== client.sourceFilters) {
+            const filters = compileFilters(next);
+            if (!filters.valid) {
+                this.sendError(client, ERROR_CODES.INVALID_FILTERS, `Invalid filters: ${filters.error}`, request);
+                return;
+            }
+            client.sourceFilters = filters.filters;
+            client.subscription = buildSubscription(client.sourceFilters, client.lockedFilters);
+            logger.info('Source filters set', { username: client.username, filters: client.sourceFilters });
+        }
+
+        this.send(client, {
+            type: 'filters',
+            sourceFilters: client.sourceFilters,
+            ...(client.lockedFilters && { lockedFilters: client.lockedFilters }),
+            message: `Filters: ${this.describeFilters(client)}`
+        }, request);
+    }
+
+    // Human-readable filters of a session, for welcome and filters replies
+    describeFilters(client) {
+        const own = client.sourceFilters.length === 0 ? 'none' : client.sourceFilters.join(', ');
+        if (!client.lockedFilters) return own;
+        return `${own} (limited to: ${client.lockedFilters.length === 0 ? 'none' : client.lockedFilters.join(', ')})`;
+    }
+
+    // Turn ack mode on or off for a session. Turning it on re-sends anything still unacknowledged.
+    setAckMode(clientId, enabled, request = null) {
+        const client = this.clients.get(clientId);
+        if (!client) return;
+
+        client.ackMode = enabled;
+        const resent = enabled ? this.deliveries.resendPending(client.username) : 0;
+
+        this.send(client, {
+            type: 'ack_mode',
+            enabled,
+            resent,
+            message: enabled
+                ? `Ack mode on. Acknowledge each broadcast with: ack <messageId>${resent ? ` (${resent} pending re-sent)` : ''}`
+                : 'Ack mode off'
+        }, request);
+    }
+
+    // Send a message to every ack-mode session of a user, returns how many got it
+    sendToAckSessions(username, message) {
+        let sent = 0;
+        for (const [id, c] of this.clients.entries()) {
+            if (c.username === username && c.ackMode && c.ws.readyState === WebSocket.OPEN && this.deliver(id, c, message)) {
+                sent++;
+            }
+        }
+        return sent;
+    }
+
+    // Follow-up to broadcast_sent once every ack-mode recipient acked, failed or the report deadline passed
+    sendDeliveryReport({ reportTo, messageId, acked, pending, failed }) {
+        // HTTP-ingested broadcasts have nobody to report to
+        if (!reportTo) return;
+
+        const client = this.clients.get(reportTo.clientId);
+        if (!client) return;
+
+        this.send(client, {
+            type: 'broadcast_delivery',
+            messageId,
+            acked,
+            pending,
+            failed,
+            message: `Broadcast ${messageId}: ${acked} acked, ${pending} pending, ${failed} failed`
+        }, reportTo.request);
+    }
+
+    async handleAdminCommand(clientId, request) {
+        const client = this.clients.get(clientId);
+        if (!client) return;
+
+        // Check if user is an admin
+        if (!client.isAdmin) {
+            this.sendError(client, ERROR_CODES.PERMISSION_DENIED, 'Permission denied. Admin access required.', request);
+            return;
+        }
+
+        const { command, password, target, args } = request.payload;
+
+        // Check admin password (extra security layer)
+        if (!this.checkAdminPassword(password)) {
+            this.sendError(client, ERROR_CODES.INVALID_ADMIN_PASSWORD, 'Invalid admin password.', request);
+            return;
+        }
+
+        try {
+            const reply = await this.executeAdminCommand(client, command, target, args);
+            this.send(client, reply, request);
+        } catch (error) {
+            if (error instanceof CommandError) {
+                this.sendError(client, error.code, error.message, request);
+                return;
+            }
+            this.sendError(client, ERROR_CODES.ADMIN_COMMAND_FAILED, `Admin command failed: ${error.message}`, request);
+        }
+    }
+
+    // Throw permission_denied unless the actor's role grants the permission
+    requirePermission(actor, permission, command = null) {
+        if (!hasPermission(actor, permission)) {
+            throw new CommandError(ERROR_CODES.PERMISSION_DENIED,
+                `Permission denied. ${command ? `'${command}' requires` : 'Requires'} the ${permission} permission.`);
+        }
+    }
+
+    // Drop the address fields from rows the viewer isn't allowed to see IPs in
+    redactIps(viewer, rows) {
+        if (hasPermission(viewer, PERMISSIONS.VIEW_IP)) return rows;
+        return rows.map(({ ip, socketIp, socket_ip, ...row }) => row);
+    }
+
+    // IP lockout entries are dropped for viewers without view_ip
+    redactLockouts(viewer, snapshot) {
+        if (hasPermission(viewer, PERMISSIONS.VIEW_IP)) return snapshot;
+        return {
+            ...snapshot,
+            active: snapshot.active.filter(l => l.kind !== 'ip'),
+            probed: snapshot.probed.filter(l => l.kind !== 'ip')
+        };
+    }
+
+    // Moderators can act on users up to their own rank, never on a higher role (e.g. kick an owner)
+    async requireOutranks(actor, target) {
+        const targetRole = await this.db.getUserRole(target);
+        if (targetRole && ROLE_NAMES.indexOf(targetRole) > ROLE_NAMES.indexOf(actor.role)) {
+            throw new CommandError(ERROR_CODES.PERMISSION_DENIED, `Permission denied. ${target} has a higher role (${targetRole}).`);
+        }
+    }
+
+    // A role actor may give target: a known role, not above the actor's own, and not to themselves
+    requireGrantableRole(actor, target, role) {
+        if (!isValidRole(role)) {
+            throw new CommandError(ERROR_CODES.BAD_REQUEST, `Role must be one of: ${ROLE_NAMES.join(', ')}`);
+        }
+        if (ROLE_NAMES.indexOf(role) > ROLE_NAMES.indexOf(actor.role)) {
+            throw new CommandError(ERROR_CODES.PERMISSION_DENIED, `Permission denied. You cannot grant the ${role} role.`);
+        }
+        if (target === actor.username) {
+            throw new CommandError(ERROR_CODES.BAD_REQUEST, 'You cannot change your own role');
+        }
+    }
+
+    // Split a ban/unban target into a username or a parsed CIDR. IP bans need view_ip.
+    parseBanTarget(actor, target) {
+        const cidr = parseCidr(target);
+        if (cidr) {
+            this.requirePermission(actor, PERMISSIONS.VIEW_IP, 'IP ban');
+            return { username: null, cidr };
+        }
+        const validation = validateUsername(target);
+        if (!validation.valid) {
+            throw new CommandError(ERROR_CODES.INVALID_USERNAME, `Target must be a username, IP or CIDR: ${validation.error}`);
+        }
+        return { username: validation.username, cidr: null };
+    }
+
+    // Granted sources are plain names or globs; filter syntax (negation, title:, host:) doesn't apply
+    validateGrantedSource(source) {
+        if (source.startsWith('!') || /^(title|host):/i.test(source) || source.length > 1000) {
+            throw new CommandError(ERROR_CODES.BAD_REQUEST, `Invalid source '${source}': use a source name or glob`);
+        }
+    }
+
+    // ADMIN_PASSWORD is optional; when set, every admin command must carry it
+    checkAdminPassword(password) {
+        const adminPassword = this.config.adminPassword;
+        return !adminPassword || password === adminPassword;
+    }
+
+    // Run an admin command on behalf of actor (a session or HTTP caller with role/permissions/ip) and
+    // return its reply message. Shared by the WebSocket `admin` command and the REST admin API.
+    // Every call is written to the audit log, including the ones that fail or are denied.
+    // Throws CommandError for invalid input, anything else is an unexpected failure.
+    async executeAdminCommand(actor, command, target, args = []) {
+        // Before/after state is only captured for commands that can change something and will run
+        const permission = ADMIN_COMMAND_PERMISSIONS[command];
+        const tracked = Boolean(permission) && hasPermission(actor, permission) && !READ_ONLY_ADMIN_COMMANDS.includes(command);
+        const before = tracked ? await this.auditSnapshot(command, target) : null;
+        const entry = {
+            actor: actor.username,
+            action: String(command).substring(0, 50),
+            target: target ? String(target).substring(0, 1000) : null,
+            args,
+            before,
+            ip: actor.ip || null
+        };
+
+        let reply;
+        try {
+            reply = await this.runAdminCommand(actor, command, target, args);
+        } catch (error) {
+            this.db.logAdminAction({ ...entry, success: false, error: error.message });
+            throw error;
+        }
+
+        const after = tracked ? await this.auditSnapshot(command, target) : null;
+        this.db.logAdminAction({ ...entry, after, success: true });
+        return reply;
+    }
+
+    // State a command may change: the target user (role, API key, sources, default filters), the
+    // target's active bans, the sink list or the settings. Null when the target user doesn't exist.
+    async auditSnapshot(command, target) {
+        try {
+            if (command === 'reload_config') {
+                const settings = describeConfig({ values: this.config, sources: this.configSources });
+                return { config: Object.fromEntries(settings.map(setting => [setting.name, setting.value])) };
+            }
+            if (command === 'add_sink' || command === 'remove_sink') {
+                return { sinks: await this.db.getActiveSinks() };
+            }
+            if (command === 'ban' || command === 'unban') {
+                const cidr = parseCidr(target);
+                const bans = await this.db.getActiveBans();
+                return { bans: bans.filter(b => cidr ? b.cidr === cidr.canonical : b.username === target) };
+            }
+            const validation = validateUsername(target);
+            return validation.valid ? await this.db.getUserAuditState(validation.username) : null;
+        } catch (error) {
+            logger.error('Audit snapshot failed', { command, target, error: error.message });
+            return null;
+        }
+    }
+
+    // "30m" / "24h" / "7d" in milliseconds, or null if value isn't a duration
+    parseDuration(value) {
+        const match = /^(\d+)([mhd])$/.exec(value);
+        if (!match) return null;
+        return parseInt(match[1]) * { m: 60000, h: 3600000, d: 86400000 }[match[2]];
+    }
+
+    // Parse an audit_log time bound: relative ("30m", "24h", "7d" ago) or an ISO date
+    parseAuditTime(value) {
+        const durationMs = this.parseDuration(value);
+        if (durationMs !== null) {
+            return new Date(Date.now() - durationMs);
+        }
+        const date = new Date(value);
+        if (isNaN(date.getTime())) {
+            throw new CommandError(ERROR_CODES.BAD_REQUEST, `Invalid time '${value}': use an ISO date or 30m / 24h / 7d`);
+        }
+        return date;
+    }
+
+    async runAdminCommand(actor, command, target, args) {
+        const permission = ADMIN_COMMAND_PERMISSIONS[command];
+        if (!permission) {
+            throw new CommandError(ERROR_CODES.UNKNOWN_COMMAND, `Unknown command. Available: ${Object.keys(ADMIN_COMMAND_PERMISSIONS).join(', ')}`);
+        }
+        this.requirePermission(actor, permission, command);
+
+        if (!target && !TARGETLESS_ADMIN_COMMANDS.includes(command)) {
+            throw new CommandError(ERROR_CODES.BAD_REQUEST, 'Usage: admin <command> <password> <username>');
+        }
+
+        // Validate target as username for user-related commands
+        // (connection_stats and the sink commands take other targets)
+        if (!NON_USER_ADMIN_COMMANDS.includes(command)) {
+            const targetValidation = validateUsername(target);
+            if (!targetValidation.valid) {
+                throw new CommandError(ERROR_CODES.INVALID_USERNAME, `Invalid target username: ${targetValidation.error}`);
+            }
+        }
+
+        switch (command) {
+            case 'add_user': {
+                // admin add_user <password> <username> [role|-] [source1,source2]
+                // A role is set even if the user exists; without one ("-"), active users keep theirs and
+                // new or removed users are added as viewers. Everything is checked before anything is written.
+                const role = args[0] && args[0] !== '-' ? args[0] : null;
+                if (role !== null) {
+                    this.requireGrantableRole(actor, target, role);
+                }
+                const sources = parseFilterList(args.slice(1).join(','));
+                for (const source of sources) {
+                    this.validateGrantedSource(source);
+                }
+
+                const added = await this.db.addUser(target, role);
+                // New and re-added users get an API key; existing keys are left untouched
+                const apiKey = await this.issueApiKeyIfMissing(target);
+                for (const source of sources) {
+                    await this.db.grantSource(target, source.toLowerCase());
+                }
+                if (role !== null) {
+                    this.updateConnectedUserStatus(target, describeRole(added.role));
+                }
+                return {
+                    type: 'admin_response',
+                    message: `User ${target} added to whitelist as ${added.role}`,
+                    role: added.role,
+                    ...(sources.length > 0 && { sources: await this.db.getBroadcasterSources(target) }),
+                    ...(apiKey && { apiKey })
+                };
+            }
+
+            case 'remove_user':
+                await this.db.removeUser(target);
+                this.kickUser(target, 'User removed');
+                return {
+                    type: 'admin_response',
+                    message: `User ${target} removed from whitelist`
+                };
+
+            case 'add_broadcaster': {
+                // admin add_broadcaster <password> <username> [source1,source2]
+                const sources = parseFilterList(args.join(','));
+                for (const source of sources) {
+                    this.validateGrantedSource(source);
+                }
+                const { role } = await this.db.addBroadcaster(target);
+                const apiKey = await this.issueApiKeyIfMissing(target);
+                for (const source of sources) {
+                    await this.db.grantSource(target, source.toLowerCase());
+                }
+                const granted = await this.db.getBroadcasterSources(target);
+                // Update connected user's status if they're online
+                this.updateConnectedUserStatus(target, describeRole(role));
+                return {
+                    type: 'admin_response',
+                    message: granted.length > 0
+                        ? `${target} granted broadcaster permissions for: ${granted.join(', ')}`
+                        : `${target} granted broadcaster permissions (no sources yet, use grant_source)`,
+                    sources: granted,
+                    ...(apiKey && { apiKey })
+                };
+            }
+
+            case 'grant_source':
+            case 'revoke_source': {
+                // admin grant_source <password> <username> <source|glob|*>
+                const source = args[0];
+                if (!source) {
+                    throw new CommandError(ERROR_CODES.BAD_REQUEST, `Usage: admin ${command} <password> <username> <source>`);
+                }
+                this.validateGrantedSource(source);
+                if (!(await this.db.isUserWhitelisted(target))) {
+                    throw new CommandError(ERROR_CODES.NOT_FOUND, `${target} is not whitelisted`);
+                }
+
+                const normalized = source.toLowerCase();
+                const changed = command === 'grant_source'
+                    ? await this.db.grantSource(target, normalized)
+                    : await this.db.revokeSource(target, normalized);
+                const sources = await this.db.getBroadcasterSources(target);
+                let message;
+                if (command === 'grant_source') {
+                    message = changed ? `${target} may now publish to ${normalized}` : `${target} already had ${normalized}`;
+                } else {
+                    message = changed ? `${normalized} revoked from ${target}` : `${target} did not have ${normalized}`;
+                }
+                return { type: 'admin_response', message, sources };
+            }
+
+            case 'remove_broadcaster': {
+                // Only publishers are demoted; broadcasting is part of every higher role
+                if (!(await this.db.removeBroadcaster(target))) {
+                    const role = await this.db.getUserRole(target);
+                    if (role && role !== 'viewer') {
+                        throw new CommandError(ERROR_CODES.BAD_REQUEST, `${target} is a ${role}; use set_role to change it`);
+                    }
+                }
+                // Update connected user's status if they're online
+                this.updateConnectedUserStatus(target, describeRole('viewer'));
+                return {
+                    type: 'admin_response',
+                    message: `${target} removed from broadcasters`
+                };
+            }
+
+            case 'set_role': {
+                // admin set_role <password> <username> <viewer|publisher|moderator|owner>
+                const role = args[0];
+                this.requireGrantableRole(actor, target, role);
+                if (!(await this.db.setUserRole(target, role))) {
+                    throw new CommandError(ERROR_CODES.NOT_FOUND, `${target} is not whitelisted`);
+                }
+                this.updateConnectedUserStatus(target, describeRole(role));
+                return {
+                    type: 'admin_response',
+                    message: `${target} is now a ${role}`,
+                    role,
+                    permissions: describeRole(role).permissions
+                };
+            }
+
+            case 'rotate_key': {
+                // Issue a new API key; the old one stops working immediately and sessions logged in
+                // with it are dropped (except when rotating your own, so the new key can reach you)
+                const apiKey = await this.issueApiKey(target);
+                if (apiKey && target !== actor.username) {
+                    this.kickUser(target, 'API key rotated');
+                }
+                return {
+                    type: 'admin_response',
+                    message: apiKey ? `New API key issued for ${target}` : `${target} is not whitelisted`,
+                    ...(apiKey && { apiKey })
+                };
+            }
+
+            case 'mint_token': {
+                // admin mint_token <password> <username> [ttlSeconds] [source1,source2]
+                if (!this.config.tokenSecret) {
+                    throw new CommandError(ERROR_CODES.BAD_REQUEST, 'Token auth is disabled (TOKEN_SECRET not set)');
+                }
+                if (!(await this.db.isUserWhitelisted(target))) {
+                    throw new CommandError(ERROR_CODES.NOT_FOUND, `${target} is not whitelisted`);
+                }
+
+                const ttlSeconds = parseInt(args[0]) || DEFAULT_TOKEN_TTL_SECONDS;
+                if (ttlSeconds <= 0 || ttlSeconds > MAX_TOKEN_TTL_SECONDS) {
+                    throw new CommandError(ERROR_CODES.BAD_REQUEST, `TTL must be between 1 and ${MAX_TOKEN_TTL_SECONDS} seconds`);
+                }
+
+                // Without sources the session gets the user's default subscription at login
+                const filters = compileFilters(args[1] ? args[1].split(',') : undefined);
+                if (!filters.valid) {
+                    throw new CommandError(ERROR_CODES.INVALID_FILTERS, `Invalid filters: ${filters.error}`);
+                }
+                const sources = args[1] ? filters.filters : undefined;
+                const role = await this.db.getUserRole(target);
+
+                const token = signToken({ sub: target, role, sources }, this.config.tokenSecret, ttlSeconds);
+                return {
+                    type: 'admin_response',
+                    message: `Token minted for ${target} (expires in ${ttlSeconds}s)`,
+                    token,
+                    expiresAt: new Date(Date.now() + ttlSeconds * 1000).toISOString()
+                };
+            }
+
+            case 'revoke_key':
+                // Remove the API key and drop any live sessions that used it
+                await this.db.revokeUserSecret(target);
+                this.kickUser(target, 'API key revoked');
+                return {
+                    type: 'admin_response',
+                    message: `API key revoked for ${target}`
+                };
+
+            case 'kick':
+                // Disconnect user without removing from whitelist
+                await this.requireOutranks(actor, target);
+                const kicked = this.kickUser(target);
+                return {
+                    type: 'admin_response',
+                    message: kicked ? `${target} has been kicked` : `${target} is not connected`
+                };
+
+            case 'ban': {
+                // admin ban <password> <username|ip|cidr> [30m|24h|7d|permanent] [reason...]
+                const { username, cidr } = this.parseBanTarget(actor, target);
+                const durationMs = this.parseDuration(args[0]);
+                const reasonArgs = durationMs !== null || args[0] === 'permanent' ? args.slice(1) : args;
+                const reason = reasonArgs.join(' ').trim().substring(0, MAX_BAN_REASON_LENGTH) || null;
+                const expiresAt = durationMs ? new Date(Date.now() + durationMs) : null;
+
+                if (username) {
+                    if (username === actor.username) {
+                        throw new CommandError(ERROR_CODES.BAD_REQUEST, 'You cannot ban yourself');
+                    }
+                    await this.requireOutranks(actor, username);
+                } else if (actor.ip && ipInCidr(actor.ip, cidr)) {
+                    throw new CommandError(ERROR_CODES.BAD_REQUEST, `${cidr.canonical} includes your own IP (${actor.ip})`);
+                }
+
+                const ban = await this.db.addBan({
+                    username,
+                    cidr: cidr && cidr.canonical,
+                    reason,
+                    issuedBy: actor.username,
+                    expiresAt
+                });
+                if (cidr) {
+                    await this.loadIpBans();
+                }
+                const disconnected = this.disconnectBanned(ban);
+                return {
+                    type: 'admin_response',
+                    message: `${username || cidr.canonical} banned ${expiresAt ? `until ${expiresAt.toISOString()}` : 'permanently'}` +
+                        ` (${disconnected} session(s) disconnected)`,
+                    ban
+                };
+            }
+
+            case 'unban': {
+                // admin unban <password> <username|ip|cidr>
+                const { username, cidr } = this.parseBanTarget(actor, target);
+                const lifted = await this.db.liftBans({ username, cidr: cidr && cidr.canonical }, actor.username);
+                if (lifted === 0) {
+                    throw new CommandError(ERROR_CODES.NOT_FOUND, `No active ban on ${username || cidr.canonical}`);
+                }
+                if (cidr) {
+                    await this.loadIpBans();
+                    this.publishClusterEvent({ type: 'bans_changed' });
+                }
+                return {
+                    type: 'admin_response',
+                    message: `Ban on ${username || cidr.canonical} lifted`
+                };
+            }
+
+            case 'list_bans': {
+                const bans = await this.db.getActiveBans();
+                return {
+                    type: 'bans',
+                    // IP bans are only listed to admins who may see IPs
+                    bans: hasPermission(actor, PERMISSIONS.VIEW_IP) ? bans : bans.filter(b => b.username)
+                };
+            }
+
+            case 'user_detail':
+                // Get detailed user info including connection history
+                const history = await this.db.getConnectionHistory(target, 50);
+                const summary = await this.db.getUserConnectionSummary(target);
+                const activeConns = this.countConnectionsForUsername(target);
+                const subscription = await this.db.getUserSubscription(target);
+                const sources = await this.db.getBroadcasterSources(target);
+                const ban = await this.db.getActiveUserBan(target);
+                return {
+                    type: 'user_detail',
+                    username: target,
+                    activeConnections: activeConns,
+                    subscription,
+                    sources,
+                    ban,
+                    summary: summary,
+                    history: this.redactIps(actor, history)
+                };
+
+            case 'connection_stats':
+                // Get aggregated connection stats for graphs
+                const hoursBack = parseInt(target) || 24;
+                const connStats = await this.db.getConnectionStats(hoursBack);
+                const recentEvents = await this.db.getRecentEvents(30);
+                return {
+                    type: 'connection_stats',
+                    hoursBack,
+                    stats: connStats,
+                    recentEvents: this.redactIps(actor, recentEvents)
+                };
+
+            case 'set_filters': {
+                // admin set_filters <password> <username> <filter1,filter2>  ("[]" = nothing, "*" = everything)
+                if (args.length === 0) {
+                    throw new CommandError(ERROR_CODES.BAD_REQUEST, 'Usage: admin set_filters <password> <username> <filter1,filter2>');
+                }
+                const filters = compileFilters(parseFilterList(args.join(',')));
+                if (!filters.valid) {
+                    throw new CommandError(ERROR_CODES.INVALID_FILTERS, `Invalid filters: ${filters.error}`);
+                }
+                const sessions = this.updateConnectedUserStatus(target, { sourceFilters: filters.filters },
+                    'Your filters have been changed by an admin');
+                return {
+                    type: 'admin_response',
+                    message: sessions > 0
+                        ? `Filters for ${target} set on ${sessions} session(s)`
+                        : `${target} is not connected`,
+                    sourceFilters: filters.filters,
+                    sessions
+                };
+            }
+
+            case 'set_subscription': {
+                // admin set_subscription <password> <username> <filter1,filter2> [locked]
+                const locked = args[args.length - 1] === 'locked';
+                const filterArgs = locked ? args.slice(0, -1) : args;
+                if (filterArgs.length === 0) {
+                    throw new CommandError(ERROR_CODES.BAD_REQUEST, 'Usage: admin set_subscription <password> <username> <filter1,filter2> [locked]');
+                }
+                const filters = compileFilters(parseFilterList(filterArgs.join(',')));
+                if (!filters.valid) {
+                    throw new CommandError(ERROR_CODES.INVALID_FILTERS, `Invalid filters: ${filters.error}`);
+                }
+                if (!(await this.db.isUserWhitelisted(target))) {
+                    throw new CommandError(ERROR_CODES.NOT_FOUND, `${target} is not whitelisted`);
+                }
+
+                const previous = await this.db.getUserSubscription(target);
+                const subscription = await this.db.setUserSubscription(target, filters.filters, locked);
+                // Live sessions keep their own filters but a new or lifted lock applies immediately
+                if (locked || (previous && previous.locked)) {
+                    this.updateConnectedUserStatus(target, { lockedFilters: locked ? filters.filters : null },
+                        locked ? 'Your subscription has been limited by an admin' : 'Your subscription is no longer limited');
+                }
+                return {
+                    type: 'admin_response',
+                    message: `Default filters for ${target} set to ${filters.filters.join(', ') || 'none'}${locked ? ' (locked)' : ''}`,
+                    subscription
+                };
+            }
+
+            case 'clear_subscription': {
+                const previous = await this.db.getUserSubscription(target);
+                if (!(await this.db.clearUserSubscription(target))) {
+                    throw new CommandError(ERROR_CODES.NOT_FOUND, `${target} has no default filters`);
+                }
+                if (previous.locked) {
+                    this.updateConnectedUserStatus(target, { lockedFilters: null }, 'Your subscription is no longer limited');
+                }
+                return {
+                    type: 'admin_response',
+                    message: `Default filters for ${target} removed`
+                };
+            }
+
+            case 'config':
+                // Effective settings and where each one came from (default, file, env, override)
+                return {
+                    type: 'config',
+                    configFile: process.env.CONFIG_FILE || null,
+                    settings: describeConfig({ values: this.config, sources: this.configSources })
+                };
+
+            case 'reload_config': {
+                // Same as SIGHUP: re-read CONFIG_FILE on this instance
+                let result;
+                try {
+                    result = this.reloadConfig();
+                } catch (error) {
+                    throw new CommandError(ERROR_CODES.BAD_REQUEST, error.message);
+                }
+                const { applied, restartRequired } = result;
+                const pending = restartRequired.length > 0 ? ` (${restartRequired.join(', ')} changed but need a restart)` : '';
+                let summary = `Reloaded ${applied.join(', ')}`;
+                if (applied.length === 0) {
+                    summary = process.env.CONFIG_FILE
+                        ? 'Configuration reloaded, nothing to apply'
+                        : 'Nothing to apply: only CONFIG_FILE settings can be reloaded and CONFIG_FILE is not set';
+                }
+                return {
+                    type: 'admin_response',
+                    message: summary + pending,
+                    applied,
+                    restartRequired
+                };
+            }
+
+            case 'list_sinks':
+                return {
+                    type: 'sinks',
+                    sinks: await this.db.getActiveSinks(),
+                    deadLetters: await this.db.getDeadLetters(20)
+                };
+
+            case 'add_sink': {
+                // admin add_sink <password> <source|*> <json|discord> <url>
+                const [kind, url] = args;
+                if (!SINK_KINDS.includes(kind)) {
+                    throw new CommandError(ERROR_CODES.BAD_REQUEST, `Sink kind must be one of: ${SINK_KINDS.join(', ')}`);
+                }
+                if (!url || !isValidUrl(url) || !/^https?:\/\//i.test(url)) {
+                    throw new CommandError(ERROR_CODES.BAD_REQUEST, 'Sink URL must be an http(s) URL');
+                }
+
+                const sink = await this.db.addSink(target.toLowerCase(), kind, url);
+                await this.sinks.load();
+                this.publishClusterEvent({ type: 'sinks_changed' });
+                return {
+                    type: 'admin_response',
+                    message: `Sink ${sink.id} added for source ${sink.source}`,
+                    sink
+                };
+            }
+
+            case 'remove_sink': {
+                const sinkId = parseInt(target);
+                if (!(await this.db.removeSink(sinkId || 0))) {
+                    throw new CommandError(ERROR_CODES.NOT_FOUND, `No sink with id ${target}`);
+                }
+                await this.sinks.load();
+                this.publishClusterEvent({ type: 'sinks_changed' });
+                return {
+                    type: 'admin_response',
+                    message: `Sink ${sinkId} removed`
+                };
+            }
+
+            case 'audit_log': {
+                // admin audit_log <password> [actor=alice] [target=bob] [since=24h] [until=<ISO date>] [limit=100]
+                const query = { limit: AUDIT_LOG_DEFAULT_LIMIT };
+                for (const arg of [target, ...args].filter(a => a).map(String)) {
+                    const eq = arg.indexOf('=');
+                    const key = arg.substring(0, eq);
+                    const value = arg.substring(eq + 1);
+                    if (eq === -1 || !value) {
+                        throw new CommandError(ERROR_CODES.BAD_REQUEST,
+                            'Usage: admin audit_log <password> [actor=<user>] [target=<name>] [since=<time>] [until=<time>] [limit=<n>]');
+                    }
+                    switch (key) {
+                        case 'actor':
+                        case 'target':
+                            query[key] = value;
+                            break;
+                        case 'since':
+                        case 'until':
+                            query[key] = this.parseAuditTime(value);
+                            break;
+                        case 'limit':
+                            query.limit = Math.min(Math.max(parseInt(value) || AUDIT_LOG_DEFAULT_LIMIT, 1), AUDIT_LOG_MAX_LIMIT);
+                            break;
+                        default:
+                            throw new CommandError(ERROR_CODES.BAD_REQUEST, `Unknown audit_log filter '${key}'`);
+                    }
+                }
+                const entries = await this.db.getAdminAudit(query);
+                return {
+                    type: 'audit_log',
+                    filters: query,
+                    entries: this.redactIps(actor, entries)
+                };
+            }
+
+            default:
+                throw new CommandError(ERROR_CODES.UNKNOWN_COMMAND, `Unknown command. Available: ${Object.keys(ADMIN_COMMAND_PERMISSIONS).join(', ')}`);
+        }
+    }
+
+    // Send a message to a client, wrapped in the v1 envelope when the client (or request) uses it.
+    // Pass the request being answered so the reply echoes its id; omit it for unsolicited pushes.
+    send(client, message, request = null) {
+        const useEnvelope = client.protocol === PROTOCOLS.V1 || Boolean(request && request.envelope);
+        client.ws.send(JSON.stringify(useEnvelope ? formatEnvelope(message, request) : message));
+    }
+
+    // Send a broadcast to a receiver, queueing it in the session's outbox while the socket's send buffer
+    // is over the high-water mark (replies and notices bypass the outbox, they are small and rare).
+    // Returns false if the session was disconnected as a slow consumer.
+    deliver(clientId, client, message) {
+        if (client.outbox.isEmpty() && client.ws.bufferedAmount < this.config.outboxHighWaterBytes) {
+            this.send(client, message);
+            return true;
+        }
+
+        const { accepted, dropped } = client.outbox.push(message);
+        this.countDropped(client.username, dropped);
+        if (!accepted) {
+            this.disconnectSlowConsumer(clientId, client);
+            return false;
+        }
+        this.backloggedClients.add(clientId);
+        return true;
+    }
+
+    countDropped(username, dropped) {
+        if (dropped === 0) return;
+        this.stats.totalDroppedMessages += dropped;
+        this.droppedByUser.set(username, (this.droppedByUser.get(username) || 0) + dropped);
+    }
+
+    // Send queued broadcasts to sessions whose send buffer has drained below the high-water mark
+    flushOutboxes() {
+        for (const clientId of this.backloggedClients) {
+            const client = this.clients.get(clientId);
+            if (!client || client.ws.readyState !== WebSocket.OPEN) {
+                this.backloggedClients.delete(clientId);
+                continue;
+            }
+            while (!client.outbox.isEmpty() && client.ws.bufferedAmount < this.config.outboxHighWaterBytes) {
+                this.send(client, client.outbox.shift());
+            }
+            if (client.outbox.isEmpty()) {
+                this.backloggedClients.delete(clientId);
+            }
+        }
+    }
+
+    // Close a session whose outbox overflowed under the disconnect policy. Its queued broadcasts are lost
+    // (ack-mode receivers get them again on their next session).
+    disconnectSlowConsumer(clientId, client) {
+        logger.warn('Disconnecting slow consumer', {
+            clientId,
+            username: client.username,
+            queued: client.outbox.size,
+            bufferedBytes: client.ws.bufferedAmount
+        });
+        this.countDropped(client.username, client.outbox.clear());
+        this.backloggedClients.delete(clientId);
+        this.stats.slowConsumerDisconnects++;
+        this.db.logConnectionEvent(client.username, client.ip, 'disconnect', 'Slow consumer (outbound queue full)', client.socketIp);
+        client.ws.close(SLOW_CONSUMER_CLOSE_CODE, 'Slow consumer');
+    }
+
+    // Send an error reply with a machine-readable code
+    // details are extra fields for the error (e.g. retryAfterMs)
+    sendError(client, code, message, request = null, details = null) {
+        this.send(client, { type: 'error', code, message, ...details }, request);
+    }
+
+    // Generate, hash and store a new API key for a user (returns the plaintext key, or null if not whitelisted)
+    async issueApiKey(username) {
+        const apiKey = generateApiKey();
+        const stored = await this.db.setUserSecret(username, await hashSecret(apiKey));
+        return stored ? apiKey : null;
+    }
+
+    // Issue an API key only if the user doesn't have one yet
+    async issueApiKeyIfMissing(username) {
+        const existing = await this.db.getUserSecretHash(username);
+        return existing ? null : this.issueApiKey(username);
+    }
+
+    // Kick a user by username (with optional event logging)
+    // Every session of the user is closed, on every instance, so revoking a key can't leave one behind.
+    // Returns whether the user was connected anywhere.
+    kickUser(username, reason = 'Kicked by admin') {
+        const remote = this.presence.countFor(username);
+        this.publishClusterEvent({ type: 'kick', username, reason });
+        return this.kickLocalSessions(username, reason) || remote > 0;
+    }
+
+    kickLocalSessions(username, reason) {
+        let kicked = false;
+        for (const [id, c] of this.clients.entries()) {
+            if (c.username === username) {
+                // Log the kick event
+                this.db.logConnectionEvent(username, c.ip, 'kicked', reason, c.socketIp);
+                this.sendError(c, ERROR_CODES.KICKED, 'You have been kicked by an admin');
+                c.ws.close(1008, 'Kicked by admin');
+                kicked = true;
+            }
+        }
+        return kicked;
+    }
+
+    // Disconnect every session a new ban applies to, on every instance (with event logging).
+    // Returns how many were closed here plus the user's sessions elsewhere (IP bans: here only).
+    disconnectBanned(ban) {
+        const remote = ban.username ? this.presence.countFor(ban.username) : 0;
+        this.publishClusterEvent({ type: 'ban', ban });
+        return this.disconnectLocalBanned(ban) + remote;
+    }
+
+    disconnectLocalBanned(ban) {
+        const range = ban.cidr ? parseCidr(ban.cidr) : null;
+        const matches = range ? (c) => ipInCidr(c.ip, range) : (c) => c.username === ban.username;
+        let disconnected = 0;
+        for (const c of this.clients.values()) {
+            if (!matches(c)) continue;
+            if (c.username) {
+                this.db.logConnectionEvent(c.username, c.ip, 'banned', 'Banned by admin', c.socketIp);
+            }
+            this.sendError(c, ERROR_CODES.BANNED, this.describeBan(ban));
+            c.ws.close(1008, 'Banned');
+            disconnected++;
+        }
+        return disconnected;
+    }
+
+    describeBan(ban) {
+        const until = ban.expires_at ? ` until ${new Date(ban.expires_at).toISOString()}` : '';
+        return `You are banned${until}${ban.reason ? `: ${ban.reason}` : ''}`;
+    }
+
+    // Cache active IP bans so handleConnection can check them without a query
+    async loadIpBans() {
+        try {
+            const bans = await this.db.getActiveBans();
+            this.ipBans = bans.filter(b => b.cidr).map(b => ({ ...b, range: parseCidr(b.cidr) }));
+        } catch (error) {
+            logger.error('Failed to load IP bans', { error: error.message });
+        }
+    }
+
+    // Active IP ban covering ip, or undefined (expiry is checked here too, between reloads)
+    findIpBan(ip) {
+        const address = parseIp(ip);
+        if (!address) return undefined;
+        const now = Date.now();
+        return this.ipBans.find(b => (!b.expires_at || new Date(b.expires_at).getTime() > now) && ipInCidr(address, b.range));
+    }
+
+    // Update a connected user's status (used when upgrading/downgrading)
+    // Apply changes to every session of a user on every instance and notify them, returns the number of sessions.
+    // sourceFilters / lockedFilters updates must be canonical lists; the subscription is rebuilt from them.
+    updateConnectedUserStatus(username, updates, message = 'Your permissions have been updated') {
+        const remote = this.presence.countFor(username);
+        this.publishClusterEvent({ type: 'user_update', username, updates, message });
+        return this.updateLocalSessions(username, updates, message) + remote;
+    }
+
+    updateLocalSessions(username, updates, message) {
+        const filtersChanged = 'sourceFilters' in updates || 'lockedFilters' in updates;
+        let updated = 0;
+        for (const [id, c] of this.clients.entries()) {
+            if (c.username === username) {
+                Object.assign(c, updates);
+                if (filtersChanged) {
+                    c.subscription = buildSubscription(c.sourceFilters, c.lockedFilters);
+                }
+                this.send(c, {
+                    type: 'status_update',
+                    ...updates,
+                    message
+                });
+                updated++;
+            }
+        }
+        return updated;
+    }
+
+    async sendStats(clientId, request) {
         const client = this.clients.get(clientId);
         if (!client) return;
 
+        this.send(client, {
+            type: 'stats',
+            data: await this.buildStats(client)
+        }, request);
+    }
+
+    // Server statistics, shared by the WebSocket `stats` command and GET /admin/stats.
+    // Without view_stats only the public counters are returned; IPs need view_ip.
+    async buildStats(viewer) {
         const now = Date.now();
+
+        // Connection counts cover the whole cluster; connectedUsers lists this instance's sessions
+        const remote = this.presence.totals();
+
+        if (!hasPermission(viewer, PERMISSIONS.VIEW_STATS)) {
+            return {
+                currentConnections: this.clients.size + remote.connections,
+                authenticatedUsers: this.countAuthenticatedUsers() + remote.authenticated,
+                totalBroadcasts: this.stats.totalBroadcasts,
+                uptime: process.uptime(),
+                serverStartedAt: this.stats.serverStartedAt,
+                maxConnectionsPerUser: this.config.maxConnectionsPerUser
+            };
+        }
+
         const connectedUsers = Array.from(this.clients.entries())
             .filter(([id, c]) => c.authenticated)
             .map(([id, c]) => ({
                 clientId: id,
                 username: c.username,
+                role: c.role,
                 isBroadcaster: c.isBroadcaster,
                 isAdmin: c.isAdmin,
                 sourceFilters: c.sourceFilters,
                 ip: c.ip,
+                socketIp: c.socketIp,
                 connectedFor: Math.floor((now - c.connectedAt) / 1000),
-                messagesReceived: c.messagesReceived
+                messagesReceived: c.messagesReceived,
+                queuedMessages: c.outbox.size,
+                droppedMessages: c.outbox.dropped,
+                ackMode: c.ackMode
             }));
 
-        // Calculate active connections per user
-        const activeConnectionsByUser = {};
+        // Calculate active connections per user (cluster-wide)
+        const activeConnectionsByUser = { ...remote.users };
         for (const u of connectedUsers) {
             activeConnectionsByUser[u.username] = (activeConnectionsByUser[u.username] || 0) + 1;
         }
 
         const stats = {
-            // Current connections
-            currentConnections: this.clients.size,
-            authenticatedUsers: connectedUsers.length,
+            // Current connections (cluster-wide)
+            currentConnections: this.clients.size + remote.connections,
+            authenticatedUsers: connectedUsers.length + remote.authenticated,
             broadcasters: connectedUsers.filter(u => u.isBroadcaster).length,
             admins: connectedUsers.filter(u => u.isAdmin).length,
 
@@ -674,30 +2536,51 @@ class WebSocketServer {
             totalAuthFailures: this.stats.totalAuthFailures,
             peakConnections: this.stats.peakConnections,
 
+            // Messages awaiting an ack from ack-mode receivers
+            pendingAcks: this.deliveries.pendingCount(),
+
+            // Backpressure: broadcasts dropped or coalesced for slow receivers (per user since startup)
+            outboxPolicy: this.config.outboxPolicy,
+            totalDroppedMessages: this.stats.totalDroppedMessages,
+            slowConsumerDisconnects: this.stats.slowConsumerDisconnects,
+            droppedMessagesByUser: Object.fromEntries(this.droppedByUser),
+
             // Uptime
             uptime: process.uptime(),
             serverStartedAt: this.stats.serverStartedAt,
 
             // Connected users detail
-            connectedUsers,
+            connectedUsers: this.redactIps(viewer, connectedUsers),
 
             // Active connections breakdown by user
             activeConnectionsByUser,
 
+            // This instance and the others on the cluster bus
+            instanceId: this.instanceId,
+            instances: [
+                {
+                    instanceId: this.instanceId,
+                    connections: this.clients.size,
+                    authenticatedUsers: connectedUsers.length,
+                    self: true
+                },
+                ...this.presence.describe()
+            ],
+
             // Recent broadcasts for activity feed (last 20)
             recentBroadcasts: this.recentBroadcasts,
 
+            // Failed-login lockouts and the IPs / usernames being probed
+            authLockouts: this.redactLockouts(viewer, this.authLockout.snapshot()),
+
             // Recent connection events (from database)
-            recentEvents: await this.db.getRecentEvents(20),
+            recentEvents: this.redactIps(viewer, await this.db.getRecentEvents(20)),
 
             // Connection limit info
-            maxConnectionsPerUser: MAX_CONNECTIONS_PER_USER
+            maxConnectionsPerUser: this.config.maxConnectionsPerUser
         };
 
-        client.ws.send(JSON.stringify({
-            type: 'stats',
-            data: stats
-        }));
+        return stats;
     }
 
     sendPings() {
@@ -711,9 +2594,11 @@ class WebSocketServer {
                         ip: client.ip
                     });
 
+                    this.counters.pingTimeouts.inc();
+
                     // Log stale disconnect event if authenticated
                     if (client.authenticated && client.username) {
-                        this.db.logConnectionEvent(client.username, client.ip, 'disconnect', 'Stale connection (no pong)');
+                        this.db.logConnectionEvent(client.username, client.ip, 'disconnect', 'Stale connection (no pong)', client.socketIp);
                     }
 
                     // Force close - this will trigger handleDisconnect
@@ -743,12 +2628,15 @@ class WebSocketServer {
 
         // Log disconnect event if user was authenticated
         if (client.authenticated && client.username) {
-            this.db.logConnectionEvent(client.username, client.ip, 'disconnect', 'Client disconnected');
+            this.db.logConnectionEvent(client.username, client.ip, 'disconnect', 'Client disconnected', client.socketIp);
         }
 
         this.stats.totalDisconnections++;
+        this.backloggedClients.delete(clientId);
+        if (client.authenticated) {
+            this.schedulePresence();
+        }
         logger.connectionClosed(clientId, client.username, 'Client disconnected');
-        this.rateLimiter.reset(clientId);
 
         // Decrement IP connection count
         if (client.ip) {
@@ -763,8 +2651,14 @@ class WebSocketServer {
         this.clients.delete(clientId);
     }
 
+    // Close every connection and stop all timers; resolves once the port is released
     async shutdown() {
+        if (this.shuttingDown) return;
         logger.serverShutdown();
+        this.shuttingDown = true;
+
+        // Let the other instances drop our sessions from their counts right away
+        this.publishClusterEvent({ type: 'leave' });
 
         // Close all client connections
         for (const [clientId, client] of this.clients.entries()) {
@@ -775,22 +2669,64 @@ class WebSocketServer {
         if (this.pingInterval) {
             clearInterval(this.pingInterval);
         }
+        if (this.deliveryInterval) {
+            clearInterval(this.deliveryInterval);
+        }
+        if (this.banRefreshInterval) {
+            clearInterval(this.banRefreshInterval);
+        }
+        if (this.outboxInterval) {
+            clearInterval(this.outboxInterval);
+        }
+        if (this.presenceInterval) {
+            clearInterval(this.presenceInterval);
+        }
+        this.maintenanceIntervals.forEach(clearInterval);
+        clearTimeout(this.presenceTimer);
+        this.sinks.stop();
+        await this.bus.stop();
 
-        // Close WebSocket server
+        // Close WebSocket and HTTP servers (the HTTP server waits for the sessions above to close)
         if (this.wss) {
             this.wss.close();
         }
+        if (this.httpServer) {
+            await new Promise((resolve) => this.httpServer.close(resolve));
+        }
 
         // Close database
         await this.db.close();
+    }
+}
 
-        process.exit(0);
+// Start the server when run directly (node server.js); requiring this file only loads the class
+if (require.main === module) {
+    let server;
+    try {
+        server = new WebSocketServer();
+    } catch (error) {
+        console.error(`✗ ${error.message}`);
+        process.exit(1);
     }
+
+    // Graceful shutdown
+    const stop = () => server.shutdown().then(() => process.exit(0));
+    process.on('SIGTERM', stop);
+    process.on('SIGINT', stop);
+
+    // Reload reloadable settings from CONFIG_FILE without dropping connections
+    process.on('SIGHUP', () => {
+        try {
+            server.reloadConfig();
+        } catch (error) {
+            logger.error('Configuration reload failed, keeping the current settings', { error: error.message });
+        }
+    });
+
+    server.start().catch(error => {
+        logger.error('Failed to start server', { error: error.message });
+        process.exit(1);
+    });
 }
 
-// Start server
-const server = new WebSocketServer();
-server.start().catch(error => {
-    logger.error('Failed to start server', { error: error.message });
-    process.exit(1);
-});
+module.exports = WebSocketServer;
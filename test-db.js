@@ -1,10 +1,11 @@
 require('dotenv').config();
-const Database = require('./db/database');
+const { createStorage } = require('./db/storage');
 
 async function testDatabase() {
     console.log('Testing database connection and operations...\n');
 
-    const db = new Database();
+    // STORAGE_BACKEND=memory checks the in-memory backend without a database
+    const db = createStorage();
 
     try {
         // Test connection
@@ -26,10 +27,10 @@ async function testDatabase() {
         await db.addBroadcaster('testuser');
         console.log('✓ Broadcaster added\n');
 
-        // Check broadcaster
-        console.log('Checking broadcaster status...');
-        const isBroadcaster = await db.isBroadcaster('testuser');
-        console.log(`✓ Is broadcaster: ${isBroadcaster}\n`);
+        // Check role
+        console.log('Checking role...');
+        const role = await db.getUserRole('testuser');
+        console.log(`✓ Role: ${role}\n`);
 
         // Get all users
         console.log('Getting all users...');
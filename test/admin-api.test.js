@@ -0,0 +1,89 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { USERS, startServer } = require('./helpers');
+
+describe('REST admin API', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer();
+    });
+
+    after(async () => {
+        await server.shutdown();
+    });
+
+    async function request(method, path, body, username = 'alice') {
+        const credentials = Buffer.from(`${username}:${USERS[username].apiKey}`).toString('base64');
+        const res = await fetch(`http://127.0.0.1:${server.port}${path}`, {
+            method,
+            headers: { Authorization: `Basic ${credentials}`, 'Content-Type': 'application/json' },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        return { status: res.status, body: await res.json() };
+    }
+
+    it('adds users with any role name', async () => {
+        for (const [username, role] of [['vera', 'viewer'], ['pete', 'publisher'], ['mona', 'moderator'], ['olga', 'owner']]) {
+            const res = await request('POST', '/admin/users', { username, role, sources: ['news'] });
+            assert.equal(res.status, 200, JSON.stringify(res.body));
+            assert.ok(res.body.apiKey);
+            assert.equal(await server.db.getUserRole(username), role);
+        }
+        assert.deepEqual(await server.db.getBroadcasterSources('mona'), ['news']);
+    });
+
+    it('sets the requested role on existing and removed users', async () => {
+        assert.equal((await request('POST', '/admin/users', { username: 'mona', role: 'publisher' })).body.role, 'publisher');
+        assert.equal(await server.db.getUserRole('mona'), 'publisher');
+
+        await request('DELETE', '/admin/users/olga');
+        const readded = await request('POST', '/admin/users', { username: 'olga' });
+        assert.equal(readded.status, 200);
+        assert.equal(readded.body.role, 'viewer');
+        assert.equal(await server.db.getUserRole('olga'), 'viewer');
+    });
+
+    it('validates the whole request before adding anyone', async () => {
+        const badSource = await request('POST', '/admin/users', { username: 'tess', role: 'publisher', sources: ['news', '!spam'] });
+        assert.equal(badSource.status, 400);
+        assert.equal(await server.db.getUserRole('tess'), null);
+
+        const ownRole = await request('POST', '/admin/users', { username: 'alice', role: 'viewer' });
+        assert.equal(ownRole.status, 400);
+        assert.match(ownRole.body.error, /your own role/);
+        assert.equal(await server.db.getUserRole('alice'), 'owner');
+    });
+
+    it('refuses to grant a role above the caller', async () => {
+        // No built-in role below owner can manage users, so the caller is made up
+        const caller = { username: 'mona', role: 'moderator', permissions: ['manage_users'], ip: '127.0.0.1' };
+        await assert.rejects(server.executeAdminCommand(caller, 'add_user', 'zed', ['owner']), { code: 'permission_denied' });
+        await assert.rejects(server.executeAdminCommand(caller, 'set_role', 'vera', ['owner']), { code: 'permission_denied' });
+        assert.equal(await server.db.getUserRole('zed'), null);
+        assert.equal(await server.db.getUserRole('vera'), 'viewer');
+    });
+
+    it('adds a viewer when no role is given', async () => {
+        assert.equal((await request('POST', '/admin/users', { username: 'nora' })).status, 200);
+        assert.equal(await server.db.getUserRole('nora'), 'viewer');
+    });
+
+    it('rejects unknown roles', async () => {
+        const res = await request('POST', '/admin/users', { username: 'rex', role: 'broadcaster' });
+        assert.equal(res.status, 400);
+        assert.equal(res.body.code, 'bad_request');
+        assert.match(res.body.error, /viewer, publisher, moderator, owner/);
+        assert.equal(await server.db.getUserRole('rex'), null);
+    });
+
+    it('rejects JSON bodies that are not objects', async () => {
+        for (const path of ['/admin/users/bob/ban', '/admin/users/bob/token', '/admin/users']) {
+            for (const body of [null, [], 'bob']) {
+                const res = await request('POST', path, body);
+                assert.equal(res.status, 400, `${path} ${JSON.stringify(body)}`);
+                assert.equal(res.body.code, 'invalid_json');
+            }
+        }
+    });
+});
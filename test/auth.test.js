@@ -0,0 +1,180 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { hashSecret } = require('../utils/auth');
+const { signToken } = require('../utils/token');
+const { startServer, connect, connectWithToken, login } = require('./helpers');
+
+describe('login', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer({ authTimeoutMs: 300 });
+    });
+
+    after(async () => {
+        await server.shutdown();
+    });
+
+    it('accepts a whitelisted user with the right key', async () => {
+        const client = await login(server, 'bob');
+        assert.equal(client.ws.readyState, client.ws.OPEN);
+        await client.close();
+    });
+
+    it('rejects a user who is not whitelisted', async () => {
+        const client = await connect(server);
+        client.send('login mallory some-key');
+        const error = await client.next('error');
+        assert.equal(error.code, 'invalid_credentials');
+        assert.equal((await client.closed).code, 1008);
+    });
+
+    it('rejects a wrong key', async () => {
+        const client = await connect(server);
+        client.send('login bob not-bobs-key');
+        assert.equal((await client.next('error')).code, 'invalid_credentials');
+        assert.equal((await client.closed).code, 1008);
+    });
+
+    it('rejects a user removed from the whitelist', async () => {
+        await server.db.addUser('dave');
+        await server.db.setUserSecret('dave', await hashSecret('dave-key'));
+        await server.db.removeUser('dave');
+
+        const client = await connect(server);
+        client.send('login dave dave-key');
+        assert.equal((await client.next('error')).code, 'invalid_credentials');
+        await client.closed;
+    });
+
+    it('closes connections that do not log in in time', async () => {
+        const client = await connect(server);
+        const error = await client.next('error');
+        assert.equal(error.code, 'auth_timeout');
+        const closed = await client.closed;
+        assert.equal(closed.code, 1008);
+        assert.equal(closed.reason, 'Authentication timeout');
+    });
+
+    it('rate limits acks sent before login', async () => {
+        const client = await connect(server);
+        for (let i = 0; i < 30; i++) {
+            client.send(`ack ${i + 1}`);
+        }
+        const codes = (await client.drain(300)).map(m => m.code);
+        assert.ok(codes.includes('rate_limited'));
+        assert.ok(codes.filter(c => c === 'not_authenticated').length <= 20);
+        await client.close();
+    });
+
+    it('refuses commands before login', async () => {
+        const client = await connect(server);
+        client.send({ title: 'hello', source: 'news' });
+        assert.equal((await client.next('error')).code, 'not_authenticated');
+        await client.close();
+    });
+});
+
+describe('token login', () => {
+    const TOKEN_SECRET = 'test-token-secret';
+    let server;
+
+    before(async () => {
+        server = await startServer({ tokenSecret: TOKEN_SECRET });
+        await server.db.addUser('erin');
+        await server.db.setUserSecret('erin', await hashSecret('erin-key'));
+    });
+
+    after(async () => {
+        await server.shutdown();
+    });
+
+    const tokenFor = (username, claims = {}) => signToken({ sub: username, role: 'viewer', ...claims }, TOKEN_SECRET, 60);
+
+    it('logs in with a valid token', async () => {
+        const client = connectWithToken(server, tokenFor('bob'));
+        assert.equal((await client.next('auth_success')).username, 'bob');
+        await client.close();
+    });
+
+    it('rejects tokens of users whose key was rotated or revoked or who were removed', async () => {
+        const stale = tokenFor('erin');
+        // iat has second granularity; rotate in the next second so the token is older than the key
+        await new Promise(resolve => setTimeout(resolve, 1000 - Date.now() % 1000));
+        await server.db.setUserSecret('erin', await hashSecret('erin-key-2'));
+        const rotated = connectWithToken(server, stale);
+        const rotatedError = await rotated.next('error');
+        assert.equal(rotatedError.code, 'invalid_credentials');
+        assert.match(rotatedError.message, /issued before/);
+        assert.equal((await rotated.closed).code, 1008);
+
+        const token = tokenFor('erin');
+        const fresh = connectWithToken(server, token);
+        assert.equal((await fresh.next('auth_success')).username, 'erin');
+        await fresh.close();
+
+        await server.db.revokeUserSecret('erin');
+        const revoked = connectWithToken(server, token);
+        assert.equal((await revoked.next('error')).code, 'invalid_credentials');
+        assert.equal((await revoked.closed).code, 1008);
+
+        await server.db.setUserSecret('erin', await hashSecret('erin-key'));
+        await server.db.removeUser('erin');
+        const removed = connectWithToken(server, token);
+        assert.equal((await removed.next('error')).code, 'invalid_credentials');
+        assert.equal((await removed.closed).code, 1008);
+    });
+
+    it('takes the role from storage, not from the token', async () => {
+        const token = tokenFor('paula', { role: 'owner' });
+        const client = connectWithToken(server, token);
+        assert.equal((await client.next('auth_success')).role, 'publisher');
+        await client.close();
+
+        await server.db.setUserRole('paula', 'viewer');
+        try {
+            const demoted = connectWithToken(server, token);
+            assert.equal((await demoted.next('auth_success')).role, 'viewer');
+            await demoted.close();
+        } finally {
+            await server.db.setUserRole('paula', 'publisher');
+        }
+    });
+
+    it('closes the connection with 1011 when storage fails during a token login', async () => {
+        const getUserSubscription = server.db.getUserSubscription;
+        server.db.getUserSubscription = async () => { throw new Error('connection reset'); };
+        try {
+            const client = connectWithToken(server, tokenFor('carol'));
+            assert.equal((await client.closed).code, 1011);
+        } finally {
+            server.db.getUserSubscription = getUserSubscription;
+        }
+    });
+
+    it('closes the connection with 1011 when storage fails during a password login', async () => {
+        const getUserSubscription = server.db.getUserSubscription;
+        server.db.getUserSubscription = async () => { throw new Error('connection reset'); };
+        try {
+            const client = await connect(server);
+            client.send('login carol carol-key');
+            assert.equal((await client.closed).code, 1011);
+        } finally {
+            server.db.getUserSubscription = getUserSubscription;
+        }
+    });
+
+    it('refuses tokens of a locked-out username', async () => {
+        for (let i = 0; i < 5; i++) {
+            const client = await connect(server);
+            client.send('login bob wrong-key');
+            await client.next('error');
+            await client.closed;
+        }
+        const client = connectWithToken(server, tokenFor('bob'));
+        const error = await client.next('error');
+        assert.equal(error.code, 'locked_out');
+        assert.ok(error.retryAfterMs > 0);
+        assert.equal((await client.closed).code, 1008);
+    });
+});
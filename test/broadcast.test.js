@@ -0,0 +1,129 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, connect, login, broadcast } = require('./helpers');
+
+describe('broadcasting', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer();
+    });
+
+    after(async () => {
+        await server.shutdown();
+    });
+
+    it('delivers broadcasts only to sessions whose filters match the source', async () => {
+        const newsOnly = await login(server, 'bob', 'news');
+        const everything = await login(server, 'carol');
+        const publisher = await login(server, 'alice');
+
+        broadcast(publisher, 'sports', 'match report');
+        broadcast(publisher, 'news', 'election results');
+        assert.equal((await publisher.next('broadcast_sent')).recipients, 2); // carol, alice
+        assert.equal((await publisher.next('broadcast_sent')).recipients, 3);
+
+        const received = await newsOnly.next('broadcast');
+        assert.equal(received.source, 'news');
+        assert.equal(received.title, 'election results');
+        assert.deepEqual((await newsOnly.drain()).filter(m => m.type === 'broadcast'), []);
+
+        assert.equal((await everything.next('broadcast')).title, 'match report');
+        assert.equal((await everything.next('broadcast')).title, 'election results');
+
+        await Promise.all([newsOnly.close(), everything.close(), publisher.close()]);
+    });
+
+    it('applies filters changed without reconnecting', async () => {
+        const viewer = await login(server, 'bob', 'news');
+        const publisher = await login(server, 'alice');
+
+        viewer.send('subscribe sports');
+        assert.deepEqual((await viewer.next('filters')).sourceFilters, ['news', 'sports']);
+        viewer.send('unsubscribe news');
+        assert.deepEqual((await viewer.next('filters')).sourceFilters, ['sports']);
+        broadcast(publisher, 'news');
+        broadcast(publisher, 'sports');
+
+        assert.equal((await viewer.next('broadcast')).source, 'sports');
+        await Promise.all([viewer.close(), publisher.close()]);
+    });
+
+    it('matches title globs without stalling on headlines that defeat a regex', async () => {
+        const viewer = await login(server, 'bob', 'title:breaking *!');
+        const publisher = await login(server, 'alice');
+
+        const started = Date.now();
+        broadcast(publisher, 'news', `Breaking news ${'a'.repeat(900)}!`);
+        broadcast(publisher, 'news', `Breaking news ${'a'.repeat(900)}`);
+        await publisher.next('broadcast_sent');
+        await publisher.next('broadcast_sent');
+        assert.ok(Date.now() - started < 1000);
+
+        assert.match((await viewer.next('broadcast')).title, /!$/);
+        assert.deepEqual((await viewer.drain()).filter(m => m.type === 'broadcast'), []);
+        await Promise.all([viewer.close(), publisher.close()]);
+    });
+
+    it('rejects regex title filters at login and on subscribe', async () => {
+        const client = await connect(server);
+        client.send('login bob bob-key [title:/^(\\w+\\s?)*$/]');
+        assert.equal((await client.next('error')).code, 'invalid_filters');
+        await client.close();
+
+        const viewer = await login(server, 'bob', 'news');
+        viewer.send({ v: 1, op: 'subscribe', payload: { filters: ['title:/(a|a)*$/'] } });
+        assert.equal((await viewer.next('error')).code, 'invalid_filters');
+        await viewer.close();
+    });
+
+    it('refuses broadcasts from viewers', async () => {
+        const viewer = await login(server, 'bob');
+        broadcast(viewer, 'news');
+        assert.equal((await viewer.next('error')).code, 'permission_denied');
+        await viewer.close();
+    });
+
+    it('refuses broadcasts to sources the publisher was not granted', async () => {
+        const publisher = await login(server, 'paula');
+        broadcast(publisher, 'weather');
+        const error = await publisher.next('error');
+        assert.equal(error.code, 'permission_denied');
+        assert.match(error.message, /weather/);
+        await publisher.close();
+    });
+});
+
+describe('broadcast rate limits', () => {
+    let server;
+
+    before(async () => {
+        // Low publisher limit so the test doesn't need hundreds of messages
+        server = await startServer({ rateLimits: { publisher: { broadcast: { perMinute: 1, burst: 3 } } } });
+    });
+
+    after(async () => {
+        await server.shutdown();
+    });
+
+    it('rate limits broadcasts per user', async () => {
+        const publisher = await login(server, 'paula');
+        for (let i = 0; i < 4; i++) {
+            broadcast(publisher, 'news', `update ${i}`);
+        }
+        // The refusal can arrive before the confirmations, which wait on storage
+        const replies = (await publisher.drain(300)).filter(m => m.type !== 'broadcast');
+        assert.equal(replies.filter(m => m.type === 'broadcast_sent').length, 3);
+        const errors = replies.filter(m => m.type === 'error');
+        assert.equal(errors.length, 1);
+        assert.equal(errors[0].code, 'rate_limited');
+        assert.ok(errors[0].retryAfterMs > 0);
+
+        // The bucket belongs to the user, so a new session doesn't get a fresh one
+        await publisher.close();
+        const again = await login(server, 'paula');
+        broadcast(again, 'news');
+        assert.equal((await again.next('error')).code, 'rate_limited');
+        await again.close();
+    });
+});
@@ -0,0 +1,138 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WebSocket = require('ws');
+const { loadConfig } = require('../utils/config');
+const { startServer, login } = require('./helpers');
+
+function writeConfigFile(file, settings) {
+    fs.writeFileSync(file, JSON.stringify(settings));
+}
+
+describe('loadConfig', () => {
+    let dir;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'relay-config-'));
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('layers defaults, the config file, the environment and overrides', () => {
+        const file = path.join(dir, 'layers.json');
+        writeConfigFile(file, { maxConnectionsPerUser: 8, maxConnectionsPerIp: 40, authTimeoutMs: 5000 });
+        const { values, sources } = loadConfig({
+            env: { CONFIG_FILE: file, MAX_CONNECTIONS_PER_IP: '50', AUTH_TIMEOUT_MS: '6000', LOG_LEVEL: 'warn', PORT: '' },
+            overrides: { authTimeoutMs: 7000 }
+        });
+
+        assert.equal(values.eventRetentionDays, 7);
+        assert.equal(sources.eventRetentionDays, 'default');
+        assert.equal(values.maxConnectionsPerUser, 8);
+        assert.equal(sources.maxConnectionsPerUser, 'file');
+        assert.equal(values.maxConnectionsPerIp, 50);
+        assert.equal(sources.maxConnectionsPerIp, 'env');
+        assert.equal(values.authTimeoutMs, 7000);
+        assert.equal(sources.authTimeoutMs, 'override');
+        assert.equal(values.logLevel, 'WARN');
+        assert.equal(values.port, 8080); // empty variables count as unset
+    });
+
+    it('reports every invalid value at once', () => {
+        const file = path.join(dir, 'invalid.json');
+        writeConfigFile(file, { maxConnectionsPerUser: 0, maxConnectionPerIp: 3 });
+        assert.throws(
+            () => loadConfig({ env: { CONFIG_FILE: file, MAX_MESSAGE_SIZE: 'big', OUTBOX_POLICY: 'ignore' } }),
+            (error) => {
+                assert.match(error.message, /maxConnectionsPerUser \(.*\): must be an integer from 1 to 1000/);
+                assert.match(error.message, /maxConnectionPerIp: unknown setting/);
+                assert.match(error.message, /MAX_MESSAGE_SIZE: must be an integer/);
+                assert.match(error.message, /OUTBOX_POLICY: must be one of drop_oldest, coalesce, disconnect/);
+                return true;
+            }
+        );
+    });
+
+    it('validates rate limits and trusted proxies', () => {
+        assert.throws(() => loadConfig({ env: { RATE_LIMITS: '{"viewer":{"chat":{"perMinute":1,"burst":1}}}' } }),
+            /unknown command class 'chat'/);
+        assert.throws(() => loadConfig({ env: { RATE_LIMITS: 'not json' } }), /RATE_LIMITS must be a JSON object/);
+        assert.throws(() => loadConfig({ env: { TRUSTED_PROXIES: '10.0.0.0/33' } }), /Invalid TRUSTED_PROXIES entry/);
+    });
+});
+
+describe('config reload', () => {
+    let dir;
+    let file;
+    let server;
+    let admin;
+
+    before(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'relay-config-'));
+        file = path.join(dir, 'relay.json');
+        writeConfigFile(file, { maxConnectionsPerUser: 3 });
+        process.env.CONFIG_FILE = file;
+        server = await startServer({ adminPassword: 'secret-pw' });
+        admin = await login(server, 'alice');
+    });
+
+    after(async () => {
+        await server.shutdown();
+        delete process.env.CONFIG_FILE;
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('shows the effective config to admins with secrets masked', async () => {
+        admin.send('admin config secret-pw');
+        const reply = await admin.next('config');
+        const setting = (name) => reply.settings.find(s => s.name === name);
+
+        assert.deepEqual(setting('maxConnectionsPerUser'),
+            { name: 'maxConnectionsPerUser', env: 'MAX_CONNECTIONS_PER_USER', value: 3, source: 'file', reloadable: true });
+        assert.equal(setting('adminPassword').value, '********');
+        assert.equal(setting('port').reloadable, false);
+    });
+
+    it('is not available to viewers', async () => {
+        const viewer = await login(server, 'bob');
+        viewer.send('admin config secret-pw');
+        assert.equal((await viewer.next('error')).code, 'permission_denied');
+        await viewer.close();
+    });
+
+    it('applies reloadable settings without dropping connections', async () => {
+        const first = await login(server, 'bob');
+        const second = await login(server, 'bob');
+
+        writeConfigFile(file, { maxConnectionsPerUser: 1, eventRetentionDays: 30, pingIntervalMs: 1000 });
+        admin.send('admin reload_config secret-pw');
+        const reply = await admin.next('admin_response');
+        assert.deepEqual(reply.applied.sort(), ['eventRetentionDays', 'maxConnectionsPerUser']);
+        assert.deepEqual(reply.restartRequired, ['pingIntervalMs']);
+        assert.equal(server.config.maxConnectionsPerUser, 1);
+        assert.equal(server.config.pingIntervalMs, 30000);
+
+        // Existing sessions stay, new ones get the new limit
+        assert.equal(first.ws.readyState, WebSocket.OPEN);
+        assert.equal(second.ws.readyState, WebSocket.OPEN);
+        const third = await login(server, 'carol');
+        await third.close();
+        const refused = await login(server, 'bob').catch(error => error);
+        assert.match(refused.message, /Max connections exceeded/);
+
+        await Promise.all([first.close(), second.close()]);
+    });
+
+    it('keeps the current settings when the file is invalid', async () => {
+        writeConfigFile(file, { maxConnectionsPerUser: 'lots' });
+        admin.send('admin reload_config secret-pw');
+        const error = await admin.next('error');
+        assert.equal(error.code, 'bad_request');
+        assert.match(error.message, /maxConnectionsPerUser/);
+        assert.equal(server.config.maxConnectionsPerUser, 1);
+    });
+});
@@ -0,0 +1,150 @@
+// Shared setup for the integration tests: a real WebSocketServer on a free port, backed by the
+// in-memory storage and a private in-memory bus, driven by real ws clients.
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const WebSocketServer = require('../server');
+const MemoryDatabase = require('../db/memory');
+const { MemoryBus } = require('../utils/bus');
+const { hashSecret } = require('../utils/auth');
+
+const WAIT_TIMEOUT_MS = 3000;
+
+// username -> { role, apiKey, sources }
+const USERS = {
+    alice: { role: 'owner', apiKey: 'alice-key', sources: ['*'] },
+    paula: { role: 'publisher', apiKey: 'paula-key', sources: ['news', 'sports'] },
+    bob: { role: 'viewer', apiKey: 'bob-key', sources: [] },
+    carol: { role: 'viewer', apiKey: 'carol-key', sources: [] }
+};
+
+async function createDatabase() {
+    const db = new MemoryDatabase();
+    for (const [username, user] of Object.entries(USERS)) {
+        await db.addUser(username, user.role);
+        await db.setUserSecret(username, await hashSecret(user.apiKey));
+        for (const source of user.sources) {
+            await db.grantSource(username, source);
+        }
+    }
+    return db;
+}
+
+// Every test client connects from 127.0.0.1, which would soon hit the per-IP login limit
+const LOGIN_LIMIT = { login: { perMinute: 600, burst: 100 } };
+
+// Start a server with the test users; options are passed to the WebSocketServer constructor
+async function startServer(options = {}) {
+    const rateLimits = options.rateLimits || {};
+    const server = new WebSocketServer({
+        db: await createDatabase(),
+        bus: new MemoryBus({ hub: new EventEmitter() }), // not shared with other tests' servers
+        port: 0,
+        ...options,
+        rateLimits: { ...rateLimits, default: { ...LOGIN_LIMIT, ...rateLimits.default } }
+    });
+    await server.start();
+    return server;
+}
+
+// A ws client that queues incoming JSON messages so tests can await them in order
+class TestClient {
+    constructor(server, wsOptions = {}) {
+        this.ws = new WebSocket(`ws://127.0.0.1:${server.port}`, wsOptions);
+        this.messages = [];
+        this.waiters = [];
+        this.ws.on('message', (data) => {
+            this.messages.push(JSON.parse(data.toString()));
+            this.notify();
+        });
+        this.closed = new Promise((resolve) => {
+            this.ws.on('close', (code, reason) => {
+                this.closeInfo = { code, reason: reason.toString() };
+                this.notify();
+                resolve(this.closeInfo);
+            });
+        });
+        this.ws.on('error', () => {}); // surfaced through closed
+    }
+
+    notify() {
+        for (const waiter of this.waiters.slice()) waiter();
+    }
+
+    async open() {
+        if (this.ws.readyState === WebSocket.OPEN) return this;
+        await new Promise((resolve, reject) => {
+            this.ws.once('open', resolve);
+            this.ws.once('error', reject);
+        });
+        await this.next('info'); // welcome message
+        return this;
+    }
+
+    send(data) {
+        this.ws.send(typeof data === 'string' ? data : JSON.stringify(data));
+    }
+
+    // Resolve with the first queued message matching predicate (a type string or a function),
+    // removing it and everything before it
+    next(predicate, timeoutMs = WAIT_TIMEOUT_MS) {
+        const matches = typeof predicate === 'string' ? (m) => m.type === predicate : predicate;
+        return new Promise((resolve, reject) => {
+            const check = () => {
+                const index = this.messages.findIndex(matches);
+                if (index !== -1) {
+                    const message = this.messages[index];
+                    this.messages.splice(0, index + 1);
+                    done();
+                    resolve(message);
+                } else if (this.closeInfo) {
+                    done();
+                    reject(new Error(`Connection closed (${this.closeInfo.code} ${this.closeInfo.reason}) while waiting for ${predicate}`));
+                }
+            };
+            const timer = setTimeout(() => {
+                done();
+                reject(new Error(`Timed out waiting for ${predicate}; got ${JSON.stringify(this.messages)}`));
+            }, timeoutMs);
+            const done = () => {
+                clearTimeout(timer);
+                this.waiters = this.waiters.filter(w => w !== check);
+            };
+            this.waiters.push(check);
+            check();
+        });
+    }
+
+    // Wait a little and return whatever arrived (for asserting that nothing did)
+    async drain(ms = 200) {
+        await new Promise((resolve) => setTimeout(resolve, ms));
+        return this.messages.splice(0);
+    }
+
+    close() {
+        this.ws.close();
+        return this.closed;
+    }
+}
+
+async function connect(server, wsOptions) {
+    return new TestClient(server, wsOptions).open();
+}
+
+// Connect with an access token in the handshake; the server logs the session in without a welcome message
+function connectWithToken(server, token) {
+    return new TestClient(server, { headers: { Authorization: `Bearer ${token}` } });
+}
+
+// Connect and log in as one of USERS, optionally with source filters ("news, sports")
+async function login(server, username, filters = null, wsOptions) {
+    const client = await connect(server, wsOptions);
+    client.send(`login ${username} ${USERS[username].apiKey}${filters ? ` [${filters}]` : ''}`);
+    await client.next('auth_success');
+    return client;
+}
+
+function broadcast(client, source, title = `${source} headline`) {
+    client.send({ title, source });
+}
+
+module.exports = { USERS, startServer, connect, connectWithToken, login, broadcast };
@@ -0,0 +1,38 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { startServer } = require('./helpers');
+
+// Send a raw request (for request lines fetch refuses to produce) and return the response text
+function rawRequest(port, text) {
+    return new Promise((resolve, reject) => {
+        const socket = net.connect(port, '127.0.0.1', () => socket.write(text));
+        let response = '';
+        socket.on('data', (chunk) => {
+            response += chunk;
+        });
+        socket.on('end', () => resolve(response));
+        socket.on('error', reject);
+    });
+}
+
+describe('HTTP endpoints', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer();
+    });
+
+    after(async () => {
+        await server.shutdown();
+    });
+
+    it('answers 400 to a request line with an invalid URL', async () => {
+        const response = await rawRequest(server.port, 'GET http://[::1 HTTP/1.1\r\nHost: localhost\r\nConnection: close\r\n\r\n');
+        assert.match(response, /^HTTP\/1\.1 400 /);
+        assert.match(response, /"code":"bad_request"/);
+
+        const res = await fetch(`http://127.0.0.1:${server.port}/healthz`);
+        assert.equal(res.status, 200);
+    });
+});
@@ -0,0 +1,33 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTrustedProxies, resolveClientIp } = require('../utils/ip');
+
+describe('client IP resolution', () => {
+    const byHops = parseTrustedProxies('1');
+    const byCidr = parseTrustedProxies('10.0.0.0/8');
+    // A proxy at 10.0.0.5 appended the real client to X-Forwarded-For and passed the
+    // client's own Forwarded header through
+    const spoofed = { 'x-forwarded-for': '198.51.100.9', forwarded: 'for=203.0.113.77' };
+
+    it('ignores a Forwarded header sent by the client when reading X-Forwarded-For', () => {
+        assert.equal(resolveClientIp('10.0.0.5', spoofed, byHops), '198.51.100.9');
+        assert.equal(resolveClientIp('10.0.0.5', spoofed, byCidr), '198.51.100.9');
+        assert.equal(resolveClientIp('10.0.0.5', { forwarded: 'for=203.0.113.77' }, byCidr), '10.0.0.5');
+    });
+
+    it('reads only the Forwarded header when configured to', () => {
+        const headers = { 'x-forwarded-for': '203.0.113.77', forwarded: 'for="[2001:db8::1]:443"' };
+        assert.equal(resolveClientIp('10.0.0.5', headers, byCidr, 'forwarded'), '2001:db8::1');
+        assert.equal(resolveClientIp('10.0.0.5', { 'x-forwarded-for': '203.0.113.77' }, byCidr, 'forwarded'), '10.0.0.5');
+    });
+
+    it('skips addresses a client prepended to the chain', () => {
+        const headers = { 'x-forwarded-for': '203.0.113.77, 198.51.100.9' };
+        assert.equal(resolveClientIp('10.0.0.5', headers, byHops), '198.51.100.9');
+        assert.equal(resolveClientIp('10.0.0.5', headers, byCidr), '198.51.100.9');
+    });
+
+    it('believes no header without trusted proxies', () => {
+        assert.equal(resolveClientIp('198.51.100.9', spoofed, parseTrustedProxies('')), '198.51.100.9');
+    });
+});
@@ -0,0 +1,57 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const WebSocket = require('ws');
+const { startServer, login } = require('./helpers');
+
+describe('stale connections', () => {
+    it('terminates sessions that stop answering pings', async () => {
+        const server = await startServer({ pingIntervalMs: 100 });
+        try {
+            const healthy = await login(server, 'bob');
+            const stale = await login(server, 'carol', null, { autoPong: false });
+
+            const closed = await stale.closed;
+            assert.equal(closed.code, 1006); // terminated, no close frame
+            assert.equal(server.counters.pingTimeouts.seriesFor().value, 1);
+
+            // Answering pings keeps the other session open
+            assert.equal(healthy.ws.readyState, WebSocket.OPEN);
+            await healthy.close();
+        } finally {
+            await server.shutdown();
+        }
+    });
+});
+
+describe('graceful shutdown', () => {
+    it('listens on a free port when given port 0', async () => {
+        const server = await startServer();
+        assert.ok(server.port > 0);
+        await server.shutdown();
+    });
+
+    it('closes every session and releases the port', async () => {
+        const server = await startServer();
+        const port = server.port;
+        const sessions = [await login(server, 'bob'), await login(server, 'alice')];
+
+        await server.shutdown();
+        assert.equal(server.shuttingDown, true);
+
+        for (const session of sessions) {
+            const closed = await session.closed;
+            assert.equal(closed.code, 1001);
+            assert.equal(closed.reason, 'Server shutting down');
+        }
+
+        // Nothing listens on the port any more
+        const refused = new WebSocket(`ws://127.0.0.1:${port}`);
+        const error = await new Promise((resolve) => refused.on('error', resolve));
+        assert.equal(error.code, 'ECONNREFUSED');
+    });
+
+    it('can be shut down more than once', async () => {
+        const server = await startServer();
+        await Promise.all([server.shutdown(), server.shutdown()]);
+    });
+});
@@ -0,0 +1,109 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, connect, login } = require('./helpers');
+
+describe('kick and ban', () => {
+    let server;
+    let admin;
+
+    before(async () => {
+        server = await startServer();
+        admin = await login(server, 'alice');
+    });
+
+    after(async () => {
+        await server.shutdown();
+    });
+
+    it('kicks every session of a user', async () => {
+        const first = await login(server, 'bob');
+        const second = await login(server, 'bob');
+
+        admin.send('admin kick pw bob');
+        assert.equal((await admin.next('admin_response')).type, 'admin_response');
+
+        for (const session of [first, second]) {
+            assert.equal((await session.next('error')).code, 'kicked');
+            const closed = await session.closed;
+            assert.equal(closed.code, 1008);
+            assert.equal(closed.reason, 'Kicked by admin');
+        }
+    });
+
+    it('lets a kicked user log in again', async () => {
+        const client = await login(server, 'bob');
+        await client.close();
+    });
+
+    it('disconnects a user when they are removed or their key is rotated', async () => {
+        const loginAs = async (apiKey) => {
+            const client = await connect(server);
+            client.send(`login dana ${apiKey}`);
+            await client.next('auth_success');
+            return client;
+        };
+        admin.send('admin add_user pw dana');
+        const session = await loginAs((await admin.next('admin_response')).apiKey);
+
+        admin.send('admin rotate_key pw dana');
+        const { apiKey } = await admin.next('admin_response');
+        assert.equal((await session.next('error')).code, 'kicked');
+        assert.equal((await session.closed).code, 1008);
+
+        const again = await loginAs(apiKey);
+        admin.send('admin remove_user pw dana');
+        await admin.next('admin_response');
+        assert.equal((await again.next('error')).code, 'kicked');
+        assert.equal((await again.closed).code, 1008);
+    });
+
+    it('issues a new key when a removed user is added again', async () => {
+        admin.send('admin add_user pw gina');
+        const oldKey = (await admin.next('admin_response')).apiKey;
+        admin.send('admin remove_user pw gina');
+        await admin.next('admin_response');
+        admin.send('admin add_user pw gina');
+        const newKey = (await admin.next('admin_response')).apiKey;
+        assert.ok(newKey);
+        assert.notEqual(newKey, oldKey);
+
+        const stale = await connect(server);
+        stale.send(`login gina ${oldKey}`);
+        assert.equal((await stale.next('error')).code, 'invalid_credentials');
+        await stale.closed;
+        const fresh = await connect(server);
+        fresh.send(`login gina ${newKey}`);
+        await fresh.next('auth_success');
+        await fresh.close();
+    });
+
+    it('refuses admin commands from users without the permission', async () => {
+        const viewer = await login(server, 'carol');
+        viewer.send('admin kick pw bob');
+        assert.equal((await viewer.next('error')).code, 'permission_denied');
+        await viewer.close();
+    });
+
+    it('disconnects a banned user and refuses new logins until unbanned', async () => {
+        const session = await login(server, 'bob');
+
+        admin.send('admin ban pw bob 1h spamming');
+        const response = await admin.next('admin_response');
+        assert.equal(response.ban.username, 'bob');
+
+        const error = await session.next('error');
+        assert.equal(error.code, 'banned');
+        assert.match(error.message, /spamming/);
+        assert.equal((await session.closed).reason, 'Banned');
+
+        const retry = await connect(server);
+        retry.send('login bob bob-key');
+        assert.equal((await retry.next('error')).code, 'banned');
+        assert.equal((await retry.closed).code, 1008);
+
+        admin.send('admin unban pw bob');
+        await admin.next('admin_response');
+        const back = await login(server, 'bob');
+        await back.close();
+    });
+});
@@ -0,0 +1,46 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const API_KEY_BYTES = 32;
+const SALT_BYTES = 16;
+const HASH_BYTES = 64;
+const HASH_SCHEME = 'scrypt';
+
+// Hash used when the user has no stored secret, so unknown usernames take as long as known ones
+const DUMMY_HASH = `${HASH_SCHEME}$${'0'.repeat(SALT_BYTES * 2)}$${'0'.repeat(HASH_BYTES * 2)}`;
+
+// Generate a new random API key (returned to the admin once, only the hash is stored)
+function generateApiKey() {
+    return crypto.randomBytes(API_KEY_BYTES).toString('base64url');
+}
+
+// Hash a secret for storage: scrypt$<salt hex>$<hash hex>
+async function hashSecret(secret) {
+    const salt = crypto.randomBytes(SALT_BYTES);
+    const hash = await scrypt(secret, salt, HASH_BYTES);
+    return `${HASH_SCHEME}$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+// Verify a secret against a stored hash in constant time
+async function verifySecret(secret, storedHash) {
+    const hashToCheck = storedHash || DUMMY_HASH;
+    const [scheme, saltHex, hashHex] = hashToCheck.split('$');
+    if (scheme !== HASH_SCHEME || !saltHex || !hashHex) {
+        return false;
+    }
+
+    const expected = Buffer.from(hashHex, 'hex');
+    const actual = await scrypt(typeof secret === 'string' ? secret : '', Buffer.from(saltHex, 'hex'), expected.length);
+
+    // Always run the comparison, then reject if there was nothing real to compare against
+    const matches = crypto.timingSafeEqual(actual, expected);
+    return matches && Boolean(storedHash) && typeof secret === 'string' && secret.length > 0;
+}
+
+module.exports = {
+    generateApiKey,
+    hashSecret,
+    verifySecret
+};
@@ -0,0 +1,124 @@
+// Pub/sub bus between relay instances, carrying broadcasts, session control (kick, ban, status
+// updates) and presence. Every bus delivers an instance's own events back to it too; the server
+// drops those by origin. Interface: start(handler), publish(event), stop(), maxPayloadBytes.
+const EventEmitter = require('events');
+const logger = require('./logger');
+
+const BUS_KINDS = ['memory', 'postgres'];
+const BUS_CHANNEL = 'relay_bus';
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 30000;
+
+// Shared by every MemoryBus in the process, so several servers started in one process
+// (tests) behave like a cluster
+const sharedHub = new EventEmitter();
+sharedHub.setMaxListeners(0);
+
+// In-process bus. With a single server it is just a loopback (no peers).
+class MemoryBus {
+    constructor({ hub = sharedHub } = {}) {
+        this.hub = hub;
+        this.maxPayloadBytes = Infinity;
+        this.listener = null;
+    }
+
+    async start(handler) {
+        this.listener = (payload) => handler(JSON.parse(payload));
+        this.hub.on('event', this.listener);
+    }
+
+    // Serialized and delivered asynchronously, like a network bus
+    async publish(event) {
+        const payload = JSON.stringify(event);
+        setImmediate(() => this.hub.emit('event', payload));
+    }
+
+    async stop() {
+        if (this.listener) {
+            this.hub.off('event', this.listener);
+            this.listener = null;
+        }
+    }
+}
+
+// Postgres LISTEN/NOTIFY. Notifications go out through the query pool; a dedicated connection
+// listens and is re-established with backoff if it drops (events sent meanwhile are missed).
+class PostgresBus {
+    constructor(db) {
+        this.db = db;
+        this.maxPayloadBytes = 7900; // NOTIFY payloads are limited to 8000 bytes
+        this.handler = null;
+        this.listener = null;
+        this.reconnectTimer = null;
+        this.reconnectDelayMs = RECONNECT_BASE_MS;
+        this.stopped = false;
+    }
+
+    async start(handler) {
+        this.handler = handler;
+        await this.connect();
+    }
+
+    async connect() {
+        this.listener = await this.db.listen(BUS_CHANNEL, {
+            onNotification: (payload) => {
+                let event;
+                try {
+                    event = JSON.parse(payload);
+                } catch (error) {
+                    logger.warn('Ignoring malformed bus event', { error: error.message });
+                    return;
+                }
+                this.handler(event);
+            },
+            onLost: (error) => this.scheduleReconnect(error)
+        });
+        this.reconnectDelayMs = RECONNECT_BASE_MS;
+    }
+
+    scheduleReconnect(error) {
+        if (this.stopped || this.reconnectTimer) return;
+        logger.error('Cluster bus connection lost', { error: error ? error.message : 'connection ended', retryInMs: this.reconnectDelayMs });
+        this.listener = null;
+        this.reconnectTimer = setTimeout(async () => {
+            this.reconnectTimer = null;
+            try {
+                await this.connect();
+                logger.info('Cluster bus reconnected');
+            } catch (err) {
+                this.reconnectDelayMs = Math.min(this.reconnectDelayMs * 2, RECONNECT_MAX_MS);
+                this.scheduleReconnect(err);
+            }
+        }, this.reconnectDelayMs);
+    }
+
+    async publish(event) {
+        const payload = JSON.stringify(event);
+        if (Buffer.byteLength(payload) > this.maxPayloadBytes) {
+            throw new Error(`Bus event too large (${Buffer.byteLength(payload)} bytes)`);
+        }
+        await this.db.notify(BUS_CHANNEL, payload);
+    }
+
+    async stop() {
+        this.stopped = true;
+        clearTimeout(this.reconnectTimer);
+        if (this.listener) {
+            await this.listener.end().catch(() => {});
+            this.listener = null;
+        }
+    }
+}
+
+function createBus(kind, db) {
+    if (kind === 'memory') return new MemoryBus();
+    if (kind === 'postgres') {
+        if (typeof db.listen !== 'function') {
+            throw new Error('CLUSTER_BUS=postgres needs STORAGE_BACKEND=postgres');
+        }
+        return new PostgresBus(db);
+    }
+    throw new Error(`Invalid CLUSTER_BUS '${kind}' (use ${BUS_KINDS.join(', ')})`);
+}
+
+module.exports = { BUS_KINDS, MemoryBus, PostgresBus, createBus };
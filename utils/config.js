@@ -0,0 +1,180 @@
+// Server settings, resolved in order: defaults, the JSON file named by CONFIG_FILE (keys are the
+// setting names below), environment variables, then overrides passed to the server (tests and
+// embedding). Everything is validated when loaded. Reloadable settings can change while the server
+// runs (SIGHUP or the reload_config admin command) by editing the file; the others need a restart.
+const fs = require('fs');
+const logger = require('./logger');
+const { BUS_KINDS } = require('./bus');
+const { OUTBOX_POLICIES } = require('./outbox');
+const { FORWARDED_HEADERS, parseTrustedProxies } = require('./ip');
+const { parseLimitsJson, resolveRateLimits, resolveSourceQuotas } = require('./ratelimit');
+const { STORAGE_BACKENDS } = require('../db/storage');
+
+const SECONDS = 1000;
+const MINUTES = 60 * SECONDS;
+
+// name -> { env, type (integer, string, secret, enum, json), default, min / max, values, check, reloadable,
+// uppercase / lowercase (enum values matched case-insensitively) }
+// check(value) throws if the value is unusable; secrets are never shown to admins.
+const SETTINGS = {
+    port: { env: 'PORT', type: 'integer', default: 8080, min: 0, max: 65535 },
+    storageBackend: { env: 'STORAGE_BACKEND', type: 'enum', values: STORAGE_BACKENDS, default: 'postgres' },
+    storageSeedFile: { env: 'STORAGE_SEED_FILE', type: 'string', default: null },
+    clusterBus: { env: 'CLUSTER_BUS', type: 'enum', values: BUS_KINDS, default: 'memory' },
+    instanceId: { env: 'INSTANCE_ID', type: 'string', default: null }, // null = hostname + random suffix
+    tokenSecret: { env: 'TOKEN_SECRET', type: 'secret', default: null },
+    adminPassword: { env: 'ADMIN_PASSWORD', type: 'secret', default: null },
+    metricsToken: { env: 'METRICS_TOKEN', type: 'secret', default: null },
+    trustedProxies: { env: 'TRUSTED_PROXIES', type: 'string', default: null, check: parseTrustedProxies },
+    forwardedHeader: { env: 'FORWARDED_HEADER', type: 'enum', values: FORWARDED_HEADERS, default: 'x-forwarded-for', lowercase: true },
+    pingIntervalMs: { env: 'PING_INTERVAL_MS', type: 'integer', default: 30 * SECONDS, min: 50, max: 10 * MINUTES },
+
+    // Connection limits
+    authTimeoutMs: { env: 'AUTH_TIMEOUT_MS', type: 'integer', default: 30 * SECONDS, min: 100, max: 10 * MINUTES, reloadable: true },
+    maxMessageSize: { env: 'MAX_MESSAGE_SIZE', type: 'integer', default: 100000, min: 1024, max: 10 * 1024 * 1024, reloadable: true },
+    maxConnectionsPerUser: { env: 'MAX_CONNECTIONS_PER_USER', type: 'integer', default: 5, min: 1, max: 1000, reloadable: true },
+    maxConnectionsPerIp: { env: 'MAX_CONNECTIONS_PER_IP', type: 'integer', default: 20, min: 1, max: 100000, reloadable: true },
+    rateLimits: { env: 'RATE_LIMITS', type: 'json', default: {}, check: resolveRateLimits, reloadable: true },
+    sourceQuotas: { env: 'SOURCE_QUOTAS', type: 'json', default: {}, check: resolveSourceQuotas, reloadable: true },
+    authMaxFailuresPerIp: { env: 'AUTH_MAX_FAILURES_PER_IP', type: 'integer', default: 10, min: 1, max: 10000, reloadable: true },
+    authMaxFailuresPerUser: { env: 'AUTH_MAX_FAILURES_PER_USER', type: 'integer', default: 5, min: 1, max: 10000, reloadable: true },
+    authLockoutBaseMs: { env: 'AUTH_LOCKOUT_BASE_MS', type: 'integer', default: 60 * SECONDS, min: SECONDS, max: 60 * MINUTES, reloadable: true },
+
+    // History and retention
+    replayMaxMessages: { env: 'REPLAY_MAX_MESSAGES', type: 'integer', default: 500, min: 1, max: 10000, reloadable: true },
+    broadcastRetentionHours: { env: 'BROADCAST_RETENTION_HOURS', type: 'integer', default: 72, min: 1, max: 24 * 365, reloadable: true },
+    eventRetentionDays: { env: 'EVENT_RETENTION_DAYS', type: 'integer', default: 7, min: 1, max: 3650, reloadable: true },
+
+    // Delivery
+    ackTimeoutMs: { env: 'ACK_TIMEOUT_MS', type: 'integer', default: 10 * SECONDS, min: 100, max: 10 * MINUTES, reloadable: true },
+    ackMaxAttempts: { env: 'ACK_MAX_ATTEMPTS', type: 'integer', default: 3, min: 1, max: 100, reloadable: true },
+    outboxHighWaterBytes: { env: 'OUTBOX_HIGH_WATER_BYTES', type: 'integer', default: 1024 * 1024, min: 1024, max: 1024 * 1024 * 1024, reloadable: true },
+    outboxMaxMessages: { env: 'OUTBOX_MAX_MESSAGES', type: 'integer', default: 100, min: 1, max: 100000, reloadable: true },
+    outboxPolicy: { env: 'OUTBOX_POLICY', type: 'enum', values: OUTBOX_POLICIES, default: 'drop_oldest', reloadable: true },
+    sinkMaxAttempts: { env: 'SINK_MAX_ATTEMPTS', type: 'integer', default: 5, min: 1, max: 20, reloadable: true },
+    sinkRetryBaseMs: { env: 'SINK_RETRY_BASE_MS', type: 'integer', default: SECONDS, min: 100, max: 60 * MINUTES, reloadable: true },
+
+    logLevel: { env: 'LOG_LEVEL', type: 'enum', values: logger.LOG_LEVEL_NAMES, default: 'INFO', uppercase: true, reloadable: true }
+};
+
+// Convert a raw value (a string from the environment, anything from the file) to the setting's
+// type, or throw with a message saying what's accepted
+function parseValue(name, raw) {
+    const setting = SETTINGS[name];
+    switch (setting.type) {
+        case 'integer': {
+            const value = typeof raw === 'string' && /^-?\d+$/.test(raw.trim()) ? parseInt(raw) : raw;
+            if (!Number.isInteger(value) || value < setting.min || value > setting.max) {
+                throw new Error(`must be an integer from ${setting.min} to ${setting.max} (got ${JSON.stringify(raw)})`);
+            }
+            return value;
+        }
+        case 'enum': {
+            let value = raw;
+            if (typeof raw === 'string' && setting.uppercase) value = raw.toUpperCase();
+            if (typeof raw === 'string' && setting.lowercase) value = raw.toLowerCase();
+            if (!setting.values.includes(value)) {
+                throw new Error(`must be one of ${setting.values.join(', ')} (got ${JSON.stringify(raw)})`);
+            }
+            return value;
+        }
+        case 'json': {
+            const value = typeof raw === 'string' ? parseLimitsJson(setting.env, raw) : raw;
+            if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                throw new Error('must be a JSON object');
+            }
+            return value;
+        }
+        default:
+            if (typeof raw !== 'string') {
+                throw new Error(`must be a string (got ${JSON.stringify(raw)})`);
+            }
+            return raw;
+    }
+}
+
+function readConfigFile(file) {
+    let parsed;
+    try {
+        parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Can't read CONFIG_FILE ${file}: ${error.message}`);
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new Error(`CONFIG_FILE ${file} must contain a JSON object`);
+    }
+    return parsed;
+}
+
+// Resolve every setting. Returns { values: { name: value }, sources: { name: 'default' | 'file' | 'env' | 'override' } }
+// and throws one error listing every invalid value, so nothing half-valid is ever applied.
+function loadConfig({ env = process.env, file = env.CONFIG_FILE || null, overrides = {} } = {}) {
+    const layers = [
+        { source: 'file', label: (name) => `${name} (${file})`, entries: file ? readConfigFile(file) : {} },
+        {
+            source: 'env',
+            label: (name) => SETTINGS[name].env,
+            // Empty variables (KEY= in .env) count as unset
+            entries: Object.fromEntries(Object.keys(SETTINGS)
+                .filter(name => env[SETTINGS[name].env] !== undefined && env[SETTINGS[name].env] !== '')
+                .map(name => [name, env[SETTINGS[name].env]]))
+        },
+        { source: 'override', label: (name) => name, entries: overrides }
+    ];
+
+    const values = {};
+    const sources = {};
+    for (const [name, setting] of Object.entries(SETTINGS)) {
+        values[name] = setting.default;
+        sources[name] = 'default';
+    }
+
+    const errors = [];
+    for (const layer of layers) {
+        for (const [name, raw] of Object.entries(layer.entries)) {
+            if (!SETTINGS[name]) {
+                errors.push(`${name}: unknown setting (${layer.source})`);
+                continue;
+            }
+            if (raw === null || raw === undefined) continue;
+            try {
+                values[name] = parseValue(name, raw);
+                sources[name] = layer.source;
+            } catch (error) {
+                errors.push(`${layer.label(name)}: ${error.message}`);
+            }
+        }
+    }
+
+    for (const [name, setting] of Object.entries(SETTINGS)) {
+        if (!setting.check || values[name] === null) continue;
+        try {
+            setting.check(values[name]);
+        } catch (error) {
+            errors.push(error.message);
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid configuration:\n  ${errors.join('\n  ')}`);
+    }
+    return { values, sources };
+}
+
+// Settings whose value differs between two loaded configs
+function changedSettings(current, next) {
+    return Object.keys(SETTINGS).filter(name => JSON.stringify(current[name]) !== JSON.stringify(next[name]));
+}
+
+// The effective config for admins: [{ name, env, value, source, reloadable }], secrets masked
+function describeConfig({ values, sources }) {
+    return Object.entries(SETTINGS).map(([name, setting]) => ({
+        name,
+        env: setting.env,
+        value: setting.type === 'secret' && values[name] !== null ? '********' : values[name],
+        source: sources[name],
+        reloadable: Boolean(setting.reloadable)
+    }));
+}
+
+module.exports = { SETTINGS, loadConfig, changedSettings, describeConfig };
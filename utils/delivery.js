@@ -0,0 +1,130 @@
+// At-least-once delivery tracking for receivers in ack mode.
+// Pending messages are keyed by username (not connection) so they survive reconnects.
+class DeliveryTracker {
+    constructor({ ackTimeoutMs = 10000, maxAttempts = 3, pendingTtlMs = 600000, maxPendingPerUser = 1000, resend, report }) {
+        this.ackTimeoutMs = ackTimeoutMs;
+        this.maxAttempts = maxAttempts;
+        this.pendingTtlMs = pendingTtlMs;
+        this.maxPendingPerUser = maxPendingPerUser;
+        this.resend = resend; // (username, message) -> number of sessions it was sent to
+        this.report = report; // ({ reportTo, messageId, acked, pending, failed }) -> void
+        this.pending = new Map(); // username -> Map(messageId -> { message, attempts, createdAt, lastSentAt })
+        this.reports = new Map(); // messageId -> { reportTo, recipients: Set(username), acked, failed, deadline }
+    }
+
+    // Start tracking a message that was just sent to these usernames
+    track(message, usernames, reportTo) {
+        const now = Date.now();
+        const messageId = message.messageId;
+
+        for (const username of usernames) {
+            if (!this.pending.has(username)) {
+                this.pending.set(username, new Map());
+            }
+            const userPending = this.pending.get(username);
+            userPending.set(messageId, { message, attempts: 1, createdAt: now, lastSentAt: now });
+
+            // Bound memory per user: the oldest pending message is given up on
+            if (userPending.size > this.maxPendingPerUser) {
+                const oldestId = userPending.keys().next().value;
+                this.resolve(username, oldestId, 'failed');
+            }
+        }
+
+        this.reports.set(messageId, {
+            reportTo,
+            recipients: new Set(usernames),
+            acked: 0,
+            failed: 0,
+            deadline: now + this.ackTimeoutMs * (this.maxAttempts + 1)
+        });
+    }
+
+    // Receiver acknowledged a message, returns false if it wasn't pending
+    ack(username, messageId) {
+        return this.resolve(username, messageId, 'acked');
+    }
+
+    // Re-send everything still pending for a user (called when an ack-mode session comes online)
+    resendPending(username) {
+        const userPending = this.pending.get(username);
+        if (!userPending) return 0;
+
+        const now = Date.now();
+        let resent = 0;
+        for (const entry of userPending.values()) {
+            if (this.resend(username, entry.message) > 0) {
+                entry.attempts++;
+                entry.lastSentAt = now;
+                resent++;
+            }
+        }
+        return resent;
+    }
+
+    // Periodic sweep: re-send timed out messages, give up on exhausted ones, flush due reports
+    check() {
+        const now = Date.now();
+
+        for (const [username, userPending] of this.pending.entries()) {
+            for (const [messageId, entry] of userPending.entries()) {
+                if (now - entry.createdAt >= this.pendingTtlMs) {
+                    this.resolve(username, messageId, 'failed');
+                } else if (now - entry.lastSentAt >= this.ackTimeoutMs) {
+                    if (entry.attempts >= this.maxAttempts) {
+                        this.resolve(username, messageId, 'failed');
+                    } else if (this.resend(username, entry.message) > 0) {
+                        // Offline users keep their entry until they reconnect or it expires
+                        entry.attempts++;
+                        entry.lastSentAt = now;
+                    }
+                }
+            }
+        }
+
+        for (const [messageId, state] of this.reports.entries()) {
+            if (now >= state.deadline) {
+                this.finishReport(messageId, state);
+            }
+        }
+    }
+
+    // Total messages awaiting an ack across all users
+    pendingCount() {
+        let count = 0;
+        for (const userPending of this.pending.values()) {
+            count += userPending.size;
+        }
+        return count;
+    }
+
+    resolve(username, messageId, outcome) {
+        const userPending = this.pending.get(username);
+        if (!userPending || !userPending.delete(messageId)) return false;
+        if (userPending.size === 0) {
+            this.pending.delete(username);
+        }
+
+        const state = this.reports.get(messageId);
+        if (state && state.recipients.delete(username)) {
+            state[outcome]++;
+            if (state.recipients.size === 0) {
+                this.finishReport(messageId, state);
+            }
+        }
+        return true;
+    }
+
+    finishReport(messageId, state) {
+        this.reports.delete(messageId);
+        this.report({
+            reportTo: state.reportTo,
+            messageId,
+            acked: state.acked,
+            pending: state.recipients.size,
+            failed: state.failed
+        });
+    }
+}
+
+module.exports = DeliveryTracker;
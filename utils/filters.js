@@ -0,0 +1,249 @@
+// Subscription filters, compiled once at login and evaluated for every broadcast in the fan-out loop.
+//
+//   news               exact source            news-*          source glob (* and ?)
+//   *                  every source            !spam           exclude (any filter can be negated)
+//   title:bitcoin      keyword in the title    title:*btc*     glob on the whole title
+//   host:example.com   url host or a subdomain of it (globs work too: host:*.example.com)
+//
+// Filters come from any viewer and run against every broadcast, so there are no raw regexes
+// (a pattern like /^(\w+\s?)*$/ backtracks for seconds on an ordinary headline). Globs are
+// matched by matchGlob, which is linear in the text for a given pattern.
+//
+// A broadcast is delivered when it matches at least one positive filter (a list of only
+// negations means "everything except") and none of the negated ones. [] means nothing.
+
+const MAX_FILTERS = 50;
+const MAX_FILTER_LENGTH = 200;
+
+function isGlob(text) {
+    return text.includes('*') || text.includes('?');
+}
+
+// Whole-string glob match (* any run, ? any one character). On a mismatch only the last * is
+// retried one character further, so the cost is at most text length x pattern length.
+function matchGlob(glob, text) {
+    let g = 0;
+    let t = 0;
+    let star = -1;
+    let resume = 0;
+    while (t < text.length) {
+        if (g < glob.length && (glob[g] === '?' || glob[g] === text[t])) {
+            g++;
+            t++;
+        } else if (g < glob.length && glob[g] === '*') {
+            star = g++;
+            resume = t;
+        } else if (star !== -1) {
+            g = star + 1;
+            t = ++resume;
+        } else {
+            return false;
+        }
+    }
+    while (g < glob.length && glob[g] === '*') g++;
+    return g === glob.length;
+}
+
+// The fields filters look at, computed once per broadcast
+function broadcastTarget(message) {
+    let host = '';
+    if (message.url) {
+        try {
+            host = new URL(message.url).hostname.toLowerCase();
+        } catch (error) {
+            // Not a URL, host filters just won't match
+        }
+    }
+    return {
+        source: String(message.source).toLowerCase(),
+        title: String(message.title || '').toLowerCase(),
+        host
+    };
+}
+
+// Parse one filter into { negate, canonical, exactSource?, test(target) }, or { error }
+function parseFilter(raw) {
+    let text = raw.trim();
+    const negate = text.startsWith('!');
+    if (negate) {
+        text = text.substring(1).trim();
+    }
+    if (!text) {
+        return { error: `Empty filter '${raw}'` };
+    }
+    if (text.length > MAX_FILTER_LENGTH) {
+        return { error: `Filter too long (max ${MAX_FILTER_LENGTH} characters)` };
+    }
+
+    const prefix = negate ? '!' : '';
+    const colon = text.indexOf(':');
+    const field = colon === -1 ? null : text.substring(0, colon).toLowerCase();
+
+    if (field === 'title') {
+        const value = text.substring(colon + 1).trim().toLowerCase();
+        if (!value) {
+            return { error: `Empty title keyword in '${raw}'` };
+        }
+        if (/^\/.+\/$/.test(value)) {
+            return { error: `Regex title filters aren't supported, use a keyword or a glob (title:*btc*) in '${raw}'` };
+        }
+        const canonical = `${prefix}title:${value}`;
+        if (isGlob(value)) {
+            return { negate, canonical, test: (t) => matchGlob(value, t.title) };
+        }
+        return { negate, canonical, test: (t) => t.title.includes(value) };
+    }
+
+    if (field === 'host') {
+        const host = text.substring(colon + 1).trim().toLowerCase();
+        if (!host) {
+            return { error: `Empty host in '${raw}'` };
+        }
+        const canonical = `${prefix}host:${host}`;
+        if (isGlob(host)) {
+            return { negate, canonical, test: (t) => matchGlob(host, t.host) };
+        }
+        const suffix = `.${host}`;
+        return { negate, canonical, test: (t) => t.host === host || t.host.endsWith(suffix) };
+    }
+
+    // Anything else is a source name or glob
+    const source = text.toLowerCase();
+    if (isGlob(source)) {
+        return { negate, canonical: prefix + source, test: (t) => matchGlob(source, t.source) };
+    }
+    return { negate, canonical: prefix + source, exactSource: source, test: (t) => t.source === source };
+}
+
+// Canonical form of each filter (as echoed by compileFilters), so "News" and "news" are the same filter
+function canonicalFilters(list) {
+    return list.map(raw => {
+        const filter = parseFilter(raw);
+        return filter.error ? raw.trim() : filter.canonical;
+    });
+}
+
+// The filters in a stored list that still compile (saved defaults can predate a rule, like the
+// title regexes that are no longer accepted)
+function usableFilters(list) {
+    return list.filter(raw => !parseFilter(raw).error);
+}
+
+class Subscription {
+    constructor({ all, sources, include, exclude, excludeSources }) {
+        this.all = all; // every source unless excluded
+        this.sources = sources; // Set of exact positive sources (fast path)
+        this.include = include; // other positive filters
+        this.exclude = exclude; // negated filters other than exact sources
+        this.excludeSources = excludeSources; // Set of exact negated sources
+    }
+
+    // Nothing can ever match ([] filters)
+    isEmpty() {
+        return !this.all && this.sources.size === 0 && this.include.length === 0;
+    }
+
+    // Exact source list the database can pre-filter on, or null when every source has to be checked
+    exactSources() {
+        if (this.all || this.include.length > 0) return null;
+        return [...this.sources];
+    }
+
+    matches(target) {
+        if (this.excludeSources.has(target.source)) return false;
+        for (const filter of this.exclude) {
+            if (filter.test(target)) return false;
+        }
+        if (this.all || this.sources.has(target.source)) return true;
+        for (const filter of this.include) {
+            if (filter.test(target)) return true;
+        }
+        return false;
+    }
+}
+
+// A subscription narrowed to what a locked grant allows: both have to match
+class RestrictedSubscription {
+    constructor(subscription, grant) {
+        this.subscription = subscription;
+        this.grant = grant;
+    }
+
+    isEmpty() {
+        return this.subscription.isEmpty() || this.grant.isEmpty();
+    }
+
+    exactSources() {
+        const own = this.subscription.exactSources();
+        const granted = this.grant.exactSources();
+        if (own === null) return granted;
+        if (granted === null) return own;
+        return own.filter(s => granted.includes(s));
+    }
+
+    matches(target) {
+        return this.grant.matches(target) && this.subscription.matches(target);
+    }
+}
+
+// Compile a list of filter strings. No list means all sources.
+// Returns { valid: true, filters, subscription } (filters is the canonical list echoed back) or { valid: false, error }
+function compileFilters(list) {
+    if (list === undefined) {
+        list = ['*'];
+    }
+    if (!Array.isArray(list) || list.some(f => typeof f !== 'string')) {
+        return { valid: false, error: 'Filters must be a list of strings' };
+    }
+
+    const seen = new Set();
+    const parsed = [];
+    for (const raw of list) {
+        if (raw.trim() === '') continue;
+        const filter = parseFilter(raw);
+        if (filter.error) {
+            return { valid: false, error: filter.error };
+        }
+        if (!seen.has(filter.canonical)) {
+            seen.add(filter.canonical);
+            parsed.push(filter);
+        }
+    }
+    if (parsed.length > MAX_FILTERS) {
+        return { valid: false, error: `Too many filters (max ${MAX_FILTERS})` };
+    }
+
+    const positives = parsed.filter(f => !f.negate);
+    const negatives = parsed.filter(f => f.negate);
+    // "*" (or only negations) subscribes to everything, making other positive filters redundant
+    const all = positives.length === 0 ? negatives.length > 0 : positives.some(f => f.canonical === '*');
+
+    const kept = all ? positives.filter(f => f.canonical === '*') : positives;
+    const subscription = new Subscription({
+        all,
+        sources: new Set(kept.filter(f => f.exactSource !== undefined).map(f => f.exactSource)),
+        include: all ? [] : kept.filter(f => f.exactSource === undefined),
+        exclude: negatives.filter(f => f.exactSource === undefined),
+        excludeSources: new Set(negatives.filter(f => f.exactSource !== undefined).map(f => f.exactSource))
+    });
+
+    return {
+        valid: true,
+        filters: [...kept, ...negatives].map(f => f.canonical),
+        subscription
+    };
+}
+
+// Effective subscription for a canonical filter list, limited by lockedFilters when given
+function buildSubscription(filters, lockedFilters = null) {
+    const subscription = compileFilters(filters).subscription;
+    return lockedFilters ? new RestrictedSubscription(subscription, compileFilters(lockedFilters).subscription) : subscription;
+}
+
+module.exports = {
+    compileFilters,
+    buildSubscription,
+    canonicalFilters,
+    usableFilters,
+    broadcastTarget
+};
@@ -0,0 +1,131 @@
+// Small helpers for the HTTP endpoints that share the WebSocket port
+const { ERROR_CODES } = require('./protocol');
+
+// HTTP status for each protocol error code (anything unlisted is a 400)
+const STATUS_BY_CODE = {
+    [ERROR_CODES.NOT_AUTHENTICATED]: 401,
+    [ERROR_CODES.INVALID_CREDENTIALS]: 401,
+    [ERROR_CODES.PERMISSION_DENIED]: 403,
+    [ERROR_CODES.INVALID_ADMIN_PASSWORD]: 403,
+    [ERROR_CODES.BANNED]: 403,
+    [ERROR_CODES.NOT_FOUND]: 404,
+    [ERROR_CODES.METHOD_NOT_ALLOWED]: 405,
+    [ERROR_CODES.MESSAGE_TOO_LARGE]: 413,
+    [ERROR_CODES.RATE_LIMITED]: 429,
+    [ERROR_CODES.LOCKED_OUT]: 429,
+    [ERROR_CODES.ADMIN_COMMAND_FAILED]: 500,
+    [ERROR_CODES.INTERNAL_ERROR]: 500
+};
+
+function statusForErrorCode(code) {
+    return STATUS_BY_CODE[code] || 400;
+}
+
+class HttpError extends Error {
+    // details are merged into the JSON error body (e.g. retryAfterMs), headers into the response
+    constructor(status, code, message, { details = {}, headers = {} } = {}) {
+        super(message);
+        this.status = status;
+        this.code = code;
+        this.details = details;
+        this.headers = headers;
+    }
+}
+
+// 429 for a request refused until retryAfterMs have passed (null = no retry will help)
+function tooManyRequests(code, message, retryAfterMs) {
+    return new HttpError(429, code, message, {
+        details: { retryAfterMs },
+        headers: retryAfterMs === null ? {} : { 'Retry-After': String(Math.ceil(retryAfterMs / 1000)) }
+    });
+}
+
+// Read the request body as a string, rejecting bodies over maxBytes
+function readBody(req, maxBytes) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        let tooLarge = false;
+
+        req.on('data', (chunk) => {
+            // Keep draining an oversized body (so the error response can still be written) but stop buffering it
+            if (tooLarge) return;
+            size += chunk.length;
+            if (size > maxBytes) {
+                tooLarge = true;
+                chunks.length = 0;
+                reject(new HttpError(413, ERROR_CODES.MESSAGE_TOO_LARGE, `Body too large (max ${maxBytes} bytes)`));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString()));
+        req.on('error', reject);
+    });
+}
+
+// Read and parse a JSON body, which must be an object (or an array, if allowArray is set).
+// If emptyValue is given, an empty body returns it instead of failing.
+async function readJsonBody(req, maxBytes, { emptyValue, allowArray = false } = {}) {
+    const body = await readBody(req, maxBytes);
+    if (emptyValue !== undefined && body.trim() === '') {
+        return emptyValue;
+    }
+    let parsed;
+    try {
+        parsed = JSON.parse(body);
+    } catch (error) {
+        throw new HttpError(400, ERROR_CODES.INVALID_JSON, 'Invalid JSON body');
+    }
+    if (parsed === null || typeof parsed !== 'object' || (Array.isArray(parsed) && !allowArray)) {
+        throw new HttpError(400, ERROR_CODES.INVALID_JSON, allowArray ? 'Body must be a JSON object or array' : 'Body must be a JSON object');
+    }
+    return parsed;
+}
+
+function sendJson(res, status, body, headers = {}) {
+    const json = JSON.stringify(body);
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(json),
+        ...headers
+    });
+    res.end(json);
+}
+
+function sendText(res, status, body, contentType = 'text/plain; charset=utf-8') {
+    res.writeHead(status, {
+        'Content-Type': contentType,
+        'Content-Length': Buffer.byteLength(body)
+    });
+    res.end(body);
+}
+
+// Parse an Authorization header into { type: 'basic', username, secret } or { type: 'bearer', token }
+function parseAuthorization(header) {
+    if (typeof header !== 'string') return null;
+
+    if (header.startsWith('Bearer ')) {
+        return { type: 'bearer', token: header.substring(7).trim() };
+    }
+
+    if (header.startsWith('Basic ')) {
+        const decoded = Buffer.from(header.substring(6).trim(), 'base64').toString();
+        const separator = decoded.indexOf(':');
+        if (separator === -1) return null;
+        return { type: 'basic', username: decoded.substring(0, separator), secret: decoded.substring(separator + 1) };
+    }
+
+    return null;
+}
+
+module.exports = {
+    HttpError,
+    tooManyRequests,
+    statusForErrorCode,
+    readBody,
+    readJsonBody,
+    sendJson,
+    sendText,
+    parseAuthorization
+};
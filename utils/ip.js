@@ -0,0 +1,210 @@
+// IPv4 / IPv6 address and CIDR helpers. Addresses are held as BigInt so both families share one code path.
+
+const IPV4_BITS = 32;
+const IPV6_BITS = 128;
+
+function parseIpv4(text) {
+    const parts = text.split('.');
+    if (parts.length !== 4) return null;
+    let value = 0n;
+    for (const part of parts) {
+        if (!/^\d{1,3}$/.test(part) || parseInt(part) > 255) return null;
+        value = (value << 8n) | BigInt(part);
+    }
+    return value;
+}
+
+function parseIpv6(text) {
+    // An embedded IPv4 tail (::ffff:1.2.3.4) stands for the last two groups
+    const lastColon = text.lastIndexOf(':');
+    if (text.includes('.', lastColon)) {
+        const v4 = parseIpv4(text.substring(lastColon + 1));
+        if (v4 === null) return null;
+        text = `${text.substring(0, lastColon + 1)}${(v4 >> 16n).toString(16)}:${(v4 & 0xffffn).toString(16)}`;
+    }
+
+    const halves = text.split('::');
+    if (halves.length > 2) return null;
+    const parseGroups = (s) => s === '' ? [] : s.split(':');
+    const head = parseGroups(halves[0]);
+    const rest = halves.length === 2 ? parseGroups(halves[1]) : [];
+    if (halves.length === 1 ? head.length !== 8 : head.length + rest.length > 7) return null;
+
+    const groups = [...head, ...Array(8 - head.length - rest.length).fill('0'), ...rest];
+    let value = 0n;
+    for (const group of groups) {
+        if (!/^[0-9a-f]{1,4}$/i.test(group)) return null;
+        value = (value << 16n) | BigInt(parseInt(group, 16));
+    }
+    return value;
+}
+
+// Parse an address into { version, value }, or null. IPv4-mapped IPv6 (::ffff:a.b.c.d) comes back as IPv4.
+function parseIp(text) {
+    if (typeof text !== 'string') return null;
+    text = text.trim();
+    if (!text.includes(':')) {
+        const value = parseIpv4(text);
+        return value === null ? null : { version: 4, value };
+    }
+    const value = parseIpv6(text);
+    if (value === null) return null;
+    if (value >> 32n === 0xffffn) {
+        return { version: 4, value: value & 0xffffffffn };
+    }
+    return { version: 6, value };
+}
+
+function formatIp({ version, value }) {
+    if (version === 4) {
+        return [24n, 16n, 8n, 0n].map(shift => (value >> shift) & 0xffn).join('.');
+    }
+    const groups = [];
+    for (let shift = 112n; shift >= 0n; shift -= 16n) {
+        groups.push(((value >> shift) & 0xffffn).toString(16));
+    }
+    // Compress the longest run of zero groups (at least two) to "::"
+    let best = { start: -1, length: 1 };
+    for (let i = 0; i < 8;) {
+        if (groups[i] !== '0') { i++; continue; }
+        let j = i;
+        while (j < 8 && groups[j] === '0') j++;
+        if (j - i > best.length) best = { start: i, length: j - i };
+        i = j;
+    }
+    if (best.start === -1) return groups.join(':');
+    return `${groups.slice(0, best.start).join(':')}::${groups.slice(best.start + best.length).join(':')}`;
+}
+
+// Parse "10.0.0.0/8", "2001:db8::/32" or a single address (a /32 or /128) into
+// { version, network, bits, canonical }, or null. Host bits are cleared: 10.1.2.3/8 -> 10.0.0.0/8.
+function parseCidr(text) {
+    if (typeof text !== 'string') return null;
+    const [address, prefix, extra] = text.trim().split('/');
+    if (extra !== undefined) return null;
+    const ip = parseIp(address);
+    if (!ip) return null;
+
+    const maxBits = ip.version === 4 ? IPV4_BITS : IPV6_BITS;
+    if (prefix !== undefined && !/^\d{1,3}$/.test(prefix)) return null;
+    const bits = prefix === undefined ? maxBits : parseInt(prefix);
+    if (bits > maxBits) return null;
+
+    const hostBits = BigInt(maxBits - bits);
+    const network = (ip.value >> hostBits) << hostBits;
+    return {
+        version: ip.version,
+        network,
+        bits,
+        canonical: `${formatIp({ version: ip.version, value: network })}/${bits}`
+    };
+}
+
+// Whether an address falls inside a CIDR parsed by parseCidr
+function ipInCidr(address, cidr) {
+    const ip = typeof address === 'string' ? parseIp(address) : address;
+    if (!ip || !cidr || ip.version !== cidr.version) return false;
+    const hostBits = BigInt((ip.version === 4 ? IPV4_BITS : IPV6_BITS) - cidr.bits);
+    return (ip.value >> hostBits) === (cidr.network >> hostBits);
+}
+
+// Named ranges accepted in TRUSTED_PROXIES
+const PROXY_PRESETS = {
+    loopback: ['127.0.0.0/8', '::1/128'],
+    private: ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', 'fc00::/7']
+};
+
+// Parse the TRUSTED_PROXIES setting:
+//   ""                    trust no proxy (the socket address is the client)
+//   "1"                   a hop count: that many proxies in front of the server, whatever their address
+//   "10.0.0.0/8,loopback" proxies identified by address (CIDRs, single IPs, loopback, private)
+// Returns { hops } or { cidrs }; throws on an invalid entry.
+function parseTrustedProxies(value) {
+    const text = (value || '').trim();
+    if (text === '') {
+        return { cidrs: [] };
+    }
+    if (/^\d+$/.test(text)) {
+        return { hops: parseInt(text) };
+    }
+
+    const cidrs = [];
+    for (const entry of text.split(',').map(e => e.trim()).filter(e => e)) {
+        for (const range of PROXY_PRESETS[entry.toLowerCase()] || [entry]) {
+            const cidr = parseCidr(range);
+            if (!cidr) {
+                throw new Error(`Invalid TRUSTED_PROXIES entry '${entry}'`);
+            }
+            cidrs.push(cidr);
+        }
+    }
+    return { cidrs };
+}
+
+// One address from a forwarded chain, without quotes, brackets or port ("[2001:db8::1]:443" -> "2001:db8::1")
+function stripForwardedAddress(value) {
+    let text = value.trim().replace(/^"(.*)"$/, '$1');
+    const bracketed = /^\[([^\]]+)\](?::\d+)?$/.exec(text);
+    if (bracketed) {
+        text = bracketed[1];
+    } else if (/^[\d.]+:\d+$/.test(text)) {
+        text = text.substring(0, text.indexOf(':'));
+    }
+    return text;
+}
+
+// Headers a proxy can report the client address in (FORWARDED_HEADER)
+const FORWARDED_HEADERS = ['x-forwarded-for', 'forwarded'];
+
+// Addresses the request passed through, client first, from the one header the proxies are known
+// to write. Only that header is read: most proxies append to X-Forwarded-For and pass a client's
+// own Forwarded header through untouched, so falling back between the two would let clients
+// choose their address.
+function forwardedChain(headers, header) {
+    const value = headers[header];
+    if (!value) {
+        return [];
+    }
+    if (header === 'forwarded') {
+        return value.split(',').map(element => {
+            const pair = element.split(';').map(p => p.trim()).find(p => /^for=/i.test(p));
+            return pair ? stripForwardedAddress(pair.substring(4)) : 'unknown';
+        });
+    }
+    return value.split(',').map(stripForwardedAddress);
+}
+
+// "::ffff:1.2.3.4" -> "1.2.3.4", "2001:0db8::0001" -> "2001:db8::1"; anything unparseable is returned as-is
+function normalizeIp(text) {
+    const ip = parseIp(text);
+    return ip ? formatIp(ip) : text;
+}
+
+// Resolve the client address of a request. The chain (addresses in the forwarding header plus
+// the socket address) is walked from the right, skipping trusted proxies; entries added by
+// anyone else are never believed, so a client can't spoof its address by sending the header itself.
+function resolveClientIp(socketAddress, headers, trusted, header = 'x-forwarded-for') {
+    const chain = [...forwardedChain(headers, header), socketAddress].map(normalizeIp);
+
+    if (trusted.hops !== undefined) {
+        return chain[Math.max(chain.length - 1 - trusted.hops, 0)];
+    }
+
+    let i = chain.length - 1;
+    while (i > 0 && trusted.cidrs.some(cidr => ipInCidr(chain[i], cidr))) {
+        i--;
+    }
+    // An obfuscated or garbled entry ("unknown", "_hidden") ends the walk at the last proxy we trust
+    return parseIp(chain[i]) ? chain[i] : chain[i + 1];
+}
+
+module.exports = {
+    parseIp,
+    formatIp,
+    parseCidr,
+    ipInCidr,
+    normalizeIp,
+    parseTrustedProxies,
+    FORWARDED_HEADERS,
+    resolveClientIp
+};
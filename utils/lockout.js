@@ -0,0 +1,104 @@
+// Brute-force protection: counts failed logins per IP and per attempted username in a
+// sliding window. Too many failures locks the key out; every further lockout of the same
+// key (before it has been quiet for resetAfterMs) doubles the cooldown, up to maxCooldownMs.
+class AuthLockout {
+    constructor({
+        windowMs = 10 * 60 * 1000,
+        maxFailuresPerIp = 10,
+        maxFailuresPerUser = 5,
+        baseCooldownMs = 60 * 1000,
+        maxCooldownMs = 60 * 60 * 1000,
+        resetAfterMs = 24 * 60 * 60 * 1000
+    } = {}) {
+        this.windowMs = windowMs;
+        this.maxFailures = { ip: maxFailuresPerIp, user: maxFailuresPerUser };
+        this.baseCooldownMs = baseCooldownMs;
+        this.maxCooldownMs = maxCooldownMs;
+        this.resetAfterMs = resetAfterMs;
+        this.entries = new Map(); // "ip:1.2.3.4" / "user:alice" -> { kind, value, failures, lockedUntil, lockouts, lastLockoutAt }
+        this.totalLockouts = 0;
+    }
+
+    entry(kind, value) {
+        const key = `${kind}:${value}`;
+        let entry = this.entries.get(key);
+        if (!entry) {
+            entry = { kind, value, failures: [], lockedUntil: 0, lockouts: 0, lastLockoutAt: 0 };
+            this.entries.set(key, entry);
+        }
+        return entry;
+    }
+
+    // The lockout blocking this IP / username, or null: { kind, value, retryAfterMs }
+    check(ip, username = null) {
+        const now = Date.now();
+        for (const [kind, value] of [['ip', ip], ['user', username]]) {
+            if (!value) continue;
+            const entry = this.entries.get(`${kind}:${value}`);
+            if (entry && entry.lockedUntil > now) {
+                return { kind, value, retryAfterMs: entry.lockedUntil - now };
+            }
+        }
+        return null;
+    }
+
+    // Count a failed attempt. Returns the lockouts it started: [{ kind, value, failures, cooldownMs }]
+    recordFailure(ip, username = null) {
+        const now = Date.now();
+        const started = [];
+        for (const [kind, value] of [['ip', ip], ['user', username]]) {
+            if (!value) continue;
+            const entry = this.entry(kind, value);
+            entry.failures = entry.failures.filter(ts => now - ts < this.windowMs);
+            entry.failures.push(now);
+            if (entry.lockedUntil > now || entry.failures.length < this.maxFailures[kind]) continue;
+
+            if (now - entry.lastLockoutAt > this.resetAfterMs) {
+                entry.lockouts = 0;
+            }
+            entry.lockouts++;
+            const cooldownMs = Math.min(this.baseCooldownMs * 2 ** (entry.lockouts - 1), this.maxCooldownMs);
+            entry.lockedUntil = now + cooldownMs;
+            entry.lastLockoutAt = now;
+            this.totalLockouts++;
+            started.push({ kind, value, failures: entry.failures.length, cooldownMs });
+            entry.failures = [];
+        }
+        return started;
+    }
+
+    // Active lockouts and keys with recent failures, for admin stats
+    snapshot() {
+        const now = Date.now();
+        const active = [];
+        const probed = [];
+        for (const entry of this.entries.values()) {
+            const failures = entry.failures.filter(ts => now - ts < this.windowMs).length;
+            if (entry.lockedUntil > now) {
+                active.push({
+                    kind: entry.kind,
+                    value: entry.value,
+                    lockedUntil: new Date(entry.lockedUntil).toISOString(),
+                    lockouts: entry.lockouts
+                });
+            } else if (failures > 0) {
+                probed.push({ kind: entry.kind, value: entry.value, failures });
+            }
+        }
+        probed.sort((a, b) => b.failures - a.failures);
+        return { totalLockouts: this.totalLockouts, active, probed: probed.slice(0, 20) };
+    }
+
+    // Forget keys with no recent failures, no active lockout and no escalation left to remember
+    cleanup() {
+        const now = Date.now();
+        for (const [key, entry] of this.entries.entries()) {
+            entry.failures = entry.failures.filter(ts => now - ts < this.windowMs);
+            if (entry.failures.length === 0 && entry.lockedUntil <= now && now - entry.lastLockoutAt > this.resetAfterMs) {
+                this.entries.delete(key);
+            }
+        }
+    }
+}
+
+module.exports = AuthLockout;
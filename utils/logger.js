@@ -4,12 +4,24 @@ const LOG_LEVELS = {
     ERROR: 'ERROR'
 };
 
+// Least to most severe; entries below the configured level are skipped
+const LOG_LEVEL_NAMES = [LOG_LEVELS.INFO, LOG_LEVELS.WARN, LOG_LEVELS.ERROR];
+
 class Logger {
     constructor() {
-        this.logLevel = process.env.LOG_LEVEL || 'INFO';
+        const level = (process.env.LOG_LEVEL || 'INFO').toUpperCase();
+        this.logLevel = LOG_LEVEL_NAMES.includes(level) ? level : LOG_LEVELS.INFO;
+    }
+
+    setLevel(level) {
+        this.logLevel = level;
     }
 
     log(level, message, meta = {}) {
+        if (LOG_LEVEL_NAMES.indexOf(level) < LOG_LEVEL_NAMES.indexOf(this.logLevel)) {
+            return;
+        }
+
         const timestamp = new Date().toISOString();
         const logEntry = {
             timestamp,
@@ -90,3 +102,4 @@ class Logger {
 }
 
 module.exports = new Logger();
+module.exports.LOG_LEVEL_NAMES = LOG_LEVEL_NAMES;
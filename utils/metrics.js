@@ -0,0 +1,145 @@
+// Minimal Prometheus registry: counters, gauges and histograms with labels, rendered in the
+// text exposition format for GET /metrics. A metric given a collect() callback reads its value
+// at scrape time (for numbers the server already keeps, like connection counts); gauges are
+// always collected.
+
+const DEFAULT_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+class Metric {
+    constructor(type, name, help, { labelNames = [], collect = null } = {}) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.collect = collect; // () -> number, or [{ labels, value }] for labelled metrics
+        this.series = new Map(); // label key -> { labels, value }
+    }
+
+    seriesFor(labels = {}) {
+        const key = this.labelNames.map(name => labels[name]).join('\u0000');
+        let series = this.series.get(key);
+        if (!series) {
+            const own = {};
+            for (const name of this.labelNames) {
+                own[name] = labels[name] === undefined ? '' : labels[name];
+            }
+            series = { labels: own, value: 0 };
+            this.series.set(key, series);
+        }
+        return series;
+    }
+
+    samples() {
+        if (this.collect) {
+            const collected = this.collect();
+            return Array.isArray(collected) ? collected : [{ labels: {}, value: collected }];
+        }
+        // An unlabelled metric reports 0 before its first update
+        if (this.series.size === 0 && this.labelNames.length === 0) {
+            return [{ labels: {}, value: 0 }];
+        }
+        return [...this.series.values()];
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+        for (const { labels, value } of this.samples()) {
+            lines.push(`${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+        }
+        return lines.join('\n');
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help, options) {
+        super('counter', name, help, options);
+    }
+
+    inc(labels = {}, amount = 1) {
+        this.seriesFor(labels).value += amount;
+    }
+}
+
+class Gauge extends Metric {
+    constructor(name, help, options) {
+        super('gauge', name, help, options);
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, { labelNames = [], buckets = DEFAULT_BUCKETS } = {}) {
+        super('histogram', name, help, { labelNames });
+        this.buckets = buckets;
+    }
+
+    observe(labels, value) {
+        const series = this.seriesFor(labels);
+        if (!series.counts) {
+            series.counts = this.buckets.map(() => 0);
+            series.sum = 0;
+            series.count = 0;
+        }
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) series.counts[i]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+        for (const series of this.series.values()) {
+            this.buckets.forEach((bound, i) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${series.counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+            lines.push(`${this.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+            lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+        }
+        return lines.join('\n');
+    }
+}
+
+class MetricsRegistry {
+    constructor() {
+        this.metrics = [];
+    }
+
+    register(metric) {
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    counter(name, help, options) {
+        return this.register(new Counter(name, help, options));
+    }
+
+    gauge(name, help, options) {
+        return this.register(new Gauge(name, help, options));
+    }
+
+    histogram(name, help, options) {
+        return this.register(new Histogram(name, help, options));
+    }
+
+    render() {
+        return this.metrics.map(metric => metric.render()).join('\n') + '\n';
+    }
+}
+
+module.exports = { MetricsRegistry };
@@ -0,0 +1,104 @@
+// Per-session outbound queue for broadcasts. While a socket's send buffer is above the high-water
+// mark, broadcasts wait here instead of piling up in ws; when more than maxMessages are waiting
+// the policy decides what gives:
+//   drop_oldest  the oldest queued broadcast is dropped
+//   coalesce     everything queued is folded into one broadcast_digest (count, id range, sources)
+//   disconnect   the session is closed as a slow consumer
+const OUTBOX_POLICIES = ['drop_oldest', 'coalesce', 'disconnect'];
+
+class Outbox {
+    constructor({ policy = 'drop_oldest', maxMessages = 100 } = {}) {
+        this.policy = policy;
+        this.maxMessages = maxMessages;
+        this.queue = [];
+        this.dropped = 0; // broadcasts dropped or folded into a digest, over the session's lifetime
+    }
+
+    get size() {
+        return this.queue.length;
+    }
+
+    isEmpty() {
+        return this.queue.length === 0;
+    }
+
+    // Queue a broadcast. Returns { accepted, dropped }: accepted is false (and the broadcast dropped) when
+    // the queue is full under the disconnect policy; dropped is how many broadcasts were dropped or coalesced.
+    push(message) {
+        if (this.queue.length < this.maxMessages) {
+            this.queue.push(message);
+            return { accepted: true, dropped: 0 };
+        }
+
+        if (this.policy === 'disconnect') {
+            this.dropped++;
+            return { accepted: false, dropped: 1 };
+        }
+
+        let dropped;
+        if (this.policy === 'coalesce') {
+            const digest = this.queue.reduce((acc, queued) => foldIntoDigest(acc, queued), null);
+            dropped = digest.count - (this.queue[0].type === 'broadcast_digest' ? this.queue[0].count : 0);
+            this.queue = [digest, message];
+        } else {
+            this.queue.shift();
+            this.queue.push(message);
+            dropped = 1;
+        }
+        this.dropped += dropped;
+        return { accepted: true, dropped };
+    }
+
+    shift() {
+        return this.queue.shift();
+    }
+
+    // Discard everything queued (the session is going away), returns how many broadcasts were dropped
+    clear() {
+        const dropped = this.queue.reduce((n, queued) => n + (queued.type === 'broadcast_digest' ? queued.count : 1), 0);
+        this.queue = [];
+        this.dropped += dropped;
+        return dropped;
+    }
+}
+
+// Fold a queued broadcast (or an earlier digest) into a digest
+function foldIntoDigest(digest, message) {
+    const part = message.type === 'broadcast_digest'
+        ? message
+        : {
+            count: 1,
+            firstMessageId: message.messageId,
+            lastMessageId: message.messageId,
+            sources: { [message.source]: 1 }
+        };
+    if (!digest) {
+        return describeDigest({ ...part, sources: { ...part.sources } });
+    }
+
+    const sources = { ...digest.sources };
+    for (const [source, count] of Object.entries(part.sources)) {
+        sources[source] = (sources[source] || 0) + count;
+    }
+    return describeDigest({
+        count: digest.count + part.count,
+        // Unstored broadcasts have no id; the range covers the stored ones
+        firstMessageId: digest.firstMessageId !== null ? digest.firstMessageId : part.firstMessageId,
+        lastMessageId: part.lastMessageId !== null ? part.lastMessageId : digest.lastMessageId,
+        sources
+    });
+}
+
+function describeDigest({ count, firstMessageId, lastMessageId, sources }) {
+    const refetch = firstMessageId !== null ? ` Send resume ${firstMessageId - 1} to fetch them.` : '';
+    return {
+        type: 'broadcast_digest',
+        count,
+        firstMessageId,
+        lastMessageId,
+        sources,
+        message: `Skipped ${count} broadcasts while the connection was backed up.${refetch}`
+    };
+}
+
+module.exports = { OUTBOX_POLICIES, Outbox };
@@ -0,0 +1,57 @@
+// Named roles and the permissions each one grants. Roles are ordered: every role
+// includes the permissions of the ones before it.
+
+const PERMISSIONS = {
+    BROADCAST: 'broadcast',
+    KICK: 'kick',
+    BAN: 'ban',
+    MANAGE_USERS: 'manage_users',
+    VIEW_STATS: 'view_stats', // connected users, events and history beyond the public counters
+    VIEW_IP: 'view_ip'
+};
+
+const ROLES = {
+    viewer: [],
+    publisher: [PERMISSIONS.BROADCAST],
+    moderator: [PERMISSIONS.BROADCAST, PERMISSIONS.VIEW_STATS, PERMISSIONS.KICK, PERMISSIONS.BAN],
+    owner: Object.values(PERMISSIONS)
+};
+
+const ROLE_NAMES = Object.keys(ROLES);
+const DEFAULT_ROLE = 'viewer';
+
+// Any of these makes a user an "admin" for clients that only know the old isAdmin flag
+const ADMIN_PERMISSIONS = [PERMISSIONS.KICK, PERMISSIONS.BAN, PERMISSIONS.MANAGE_USERS];
+
+function isValidRole(role) {
+    return Object.prototype.hasOwnProperty.call(ROLES, role);
+}
+
+function permissionsForRole(role) {
+    return isValidRole(role) ? ROLES[role] : ROLES[DEFAULT_ROLE];
+}
+
+// Session fields for a role: the role, its permissions and the legacy isBroadcaster / isAdmin flags
+function describeRole(role) {
+    const permissions = permissionsForRole(role);
+    return {
+        role: isValidRole(role) ? role : DEFAULT_ROLE,
+        permissions,
+        isBroadcaster: permissions.includes(PERMISSIONS.BROADCAST),
+        isAdmin: ADMIN_PERMISSIONS.some(p => permissions.includes(p))
+    };
+}
+
+function hasPermission(subject, permission) {
+    return Boolean(subject && subject.permissions && subject.permissions.includes(permission));
+}
+
+module.exports = {
+    PERMISSIONS,
+    ROLE_NAMES,
+    DEFAULT_ROLE,
+    isValidRole,
+    permissionsForRole,
+    describeRole,
+    hasPermission
+};
@@ -0,0 +1,90 @@
+// Sessions on the other instances of a cluster, from the presence heartbeats they publish on the
+// bus. An instance that stops sending them (crashed, partitioned) is forgotten after ttlMs.
+class ClusterPresence {
+    constructor({ ttlMs = 15000 } = {}) {
+        this.ttlMs = ttlMs;
+        this.peers = new Map(); // instanceId -> { connections, authenticated, users: { username: sessions }, seenAt, partial }
+    }
+
+    // Apply a presence event. Large user maps arrive split into parts (see chunkUsers); a peer's
+    // users are only replaced once every part of a heartbeat is in.
+    update(event) {
+        const peer = this.peers.get(event.origin) || { users: {}, partial: null };
+        if (!peer.partial || peer.partial.seq !== event.seq) {
+            peer.partial = { seq: event.seq, users: {}, received: 0 };
+        }
+        Object.assign(peer.partial.users, event.users);
+        peer.partial.received++;
+        if (peer.partial.received === event.parts) {
+            peer.users = peer.partial.users;
+            peer.partial = null;
+        }
+        peer.connections = event.connections;
+        peer.authenticated = event.authenticated;
+        peer.seenAt = Date.now();
+        this.peers.set(event.origin, peer);
+    }
+
+    remove(instanceId) {
+        this.peers.delete(instanceId);
+    }
+
+    // Peers heard from within ttlMs
+    live() {
+        const now = Date.now();
+        return [...this.peers.entries()].filter(([id, peer]) => now - peer.seenAt < this.ttlMs);
+    }
+
+    // Sessions a user has on other instances
+    countFor(username) {
+        return this.live().reduce((sum, [id, peer]) => sum + (peer.users[username] || 0), 0);
+    }
+
+    // Totals over other instances: { connections, authenticated, users: { username: sessions } }
+    totals() {
+        const totals = { connections: 0, authenticated: 0, users: {} };
+        for (const [id, peer] of this.live()) {
+            totals.connections += peer.connections;
+            totals.authenticated += peer.authenticated;
+            for (const [username, sessions] of Object.entries(peer.users)) {
+                totals.users[username] = (totals.users[username] || 0) + sessions;
+            }
+        }
+        return totals;
+    }
+
+    // [{ instanceId, connections, authenticatedUsers, lastSeen }] for stats
+    describe() {
+        return this.live().map(([instanceId, peer]) => ({
+            instanceId,
+            connections: peer.connections,
+            authenticatedUsers: peer.authenticated,
+            lastSeen: new Date(peer.seenAt).toISOString()
+        }));
+    }
+
+    prune() {
+        const live = new Set(this.live().map(([id]) => id));
+        for (const id of this.peers.keys()) {
+            if (!live.has(id)) this.peers.delete(id);
+        }
+    }
+}
+
+// Split a { username: sessions } map into parts whose JSON stays under maxBytes
+function chunkUsers(users, maxBytes) {
+    const chunks = [{}];
+    let size = 0;
+    for (const [username, sessions] of Object.entries(users)) {
+        const entrySize = Buffer.byteLength(JSON.stringify(username)) + String(sessions).length + 2;
+        if (size + entrySize > maxBytes && size > 0) {
+            chunks.push({});
+            size = 0;
+        }
+        chunks[chunks.length - 1][username] = sessions;
+        size += entrySize;
+    }
+    return chunks;
+}
+
+module.exports = { ClusterPresence, chunkUsers };
@@ -0,0 +1,304 @@
+// Wire protocol: versioned JSON envelope ({ v, op, id, payload }) plus the legacy text commands.
+// Both are parsed into the same request shape: { op, id, payload, envelope, error? }
+
+const PROTOCOL_VERSION = 1;
+const SUBPROTOCOL = 'relay.v1'; // Sec-WebSocket-Protocol that selects the envelope protocol
+
+const PROTOCOLS = {
+    LEGACY: 'legacy',
+    V1: 'v1'
+};
+
+// Machine-readable error codes sent with every error reply
+const ERROR_CODES = {
+    BAD_REQUEST: 'bad_request',
+    UNSUPPORTED_VERSION: 'unsupported_version',
+    UNKNOWN_COMMAND: 'unknown_command',
+    MESSAGE_TOO_LARGE: 'message_too_large',
+    RATE_LIMITED: 'rate_limited',
+    NOT_AUTHENTICATED: 'not_authenticated',
+    ALREADY_AUTHENTICATED: 'already_authenticated',
+    INVALID_USERNAME: 'invalid_username',
+    INVALID_FILTERS: 'invalid_filters',
+    INVALID_CREDENTIALS: 'invalid_credentials',
+    AUTH_TIMEOUT: 'auth_timeout',
+    TOO_MANY_CONNECTIONS: 'too_many_connections',
+    PERMISSION_DENIED: 'permission_denied',
+    INVALID_ADMIN_PASSWORD: 'invalid_admin_password',
+    INVALID_JSON: 'invalid_json',
+    INVALID_BROADCAST: 'invalid_broadcast',
+    ADMIN_COMMAND_FAILED: 'admin_command_failed',
+    KICKED: 'kicked',
+    BANNED: 'banned',
+    LOCKED_OUT: 'locked_out',
+    // HTTP endpoints
+    NOT_FOUND: 'not_found',
+    METHOD_NOT_ALLOWED: 'method_not_allowed',
+    INTERNAL_ERROR: 'internal_error'
+};
+
+// A request that can't be carried out, reported to the client with its error code
+class CommandError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.code = code;
+    }
+}
+
+const OPS = ['login', 'admin', 'stats', 'broadcast', 'resume', 'ack', 'ack_mode', 'subscribe', 'unsubscribe', 'filters'];
+
+function badRequest(op, id, envelope, code, message) {
+    return { op, id, payload: null, envelope, error: { code, message } };
+}
+
+// Parse a comma separated filter list, optionally in brackets: "" or "[]" -> none, "*" -> all
+function parseFilterList(filterStr) {
+    let trimmed = filterStr.trim();
+    if (trimmed.startsWith('[') && trimmed.endsWith(']')) {
+        trimmed = trimmed.slice(1, -1).trim();
+    }
+    if (trimmed === '') return [];
+    return trimmed.split(',').map(s => s.trim()).filter(s => s);
+}
+
+function isFilterArray(filters) {
+    return Array.isArray(filters) && filters.every(f => typeof f === 'string');
+}
+
+// Parse a raw text frame into a request
+function parseMessage(message) {
+    if (message.startsWith('login ')) {
+        return parseLegacyLogin(message);
+    }
+
+    if (message.startsWith('admin ')) {
+        const parts = message.split(' ');
+        return {
+            op: 'admin',
+            id: null,
+            envelope: false,
+            payload: { command: parts[1], password: parts[2], target: parts[3], args: parts.slice(4) }
+        };
+    }
+
+    if (message.startsWith('resume ')) {
+        const lastId = parseLastId(message.substring(7).trim());
+        if (lastId === null) {
+            return badRequest('resume', null, false, ERROR_CODES.BAD_REQUEST, 'Usage: resume <lastMessageId>');
+        }
+        return { op: 'resume', id: null, envelope: false, payload: { lastId } };
+    }
+
+    if (message.startsWith('ack_mode ')) {
+        const mode = message.substring(9).trim();
+        if (mode !== 'on' && mode !== 'off') {
+            return badRequest('ack_mode', null, false, ERROR_CODES.BAD_REQUEST, 'Usage: ack_mode <on|off>');
+        }
+        return { op: 'ack_mode', id: null, envelope: false, payload: { enabled: mode === 'on' } };
+    }
+
+    if (message.startsWith('ack ')) {
+        const messageId = parseLastId(message.substring(4).trim());
+        if (messageId === null) {
+            return badRequest('ack', null, false, ERROR_CODES.BAD_REQUEST, 'Usage: ack <messageId>');
+        }
+        return { op: 'ack', id: null, envelope: false, payload: { messageId } };
+    }
+
+    // subscribe <filters> / unsubscribe <filters> / filters [<filters>]
+    for (const op of ['subscribe', 'unsubscribe']) {
+        if (message === op || message.startsWith(op + ' ')) {
+            const filters = parseFilterList(message.substring(op.length));
+            if (filters.length === 0) {
+                return badRequest(op, null, false, ERROR_CODES.BAD_REQUEST, `Usage: ${op} <filter1, filter2>`);
+            }
+            return { op, id: null, envelope: false, payload: { filters } };
+        }
+    }
+
+    if (message === 'filters' || message.startsWith('filters ')) {
+        const rest = message.substring(7).trim();
+        return {
+            op: 'filters',
+            id: null,
+            envelope: false,
+            payload: { filters: rest === '' ? undefined : parseFilterList(rest) }
+        };
+    }
+
+    if (message === 'stats') {
+        return { op: 'stats', id: null, envelope: false, payload: {} };
+    }
+
+    if (message.startsWith('broadcast ')) {
+        try {
+            return { op: 'broadcast', id: null, envelope: false, payload: JSON.parse(message.substring(10).trim()) };
+        } catch (error) {
+            return badRequest('broadcast', null, false, ERROR_CODES.INVALID_JSON, 'Invalid JSON format');
+        }
+    }
+
+    // Anything else must be JSON: an envelope if it has an "op", otherwise a legacy broadcast
+    let json;
+    try {
+        json = JSON.parse(message);
+    } catch (error) {
+        return badRequest(null, null, false, ERROR_CODES.UNKNOWN_COMMAND,
+            'Unknown command. Available: broadcast <json>, stats, subscribe <filters>, unsubscribe <filters>, filters, admin <command>');
+    }
+
+    if (json !== null && typeof json === 'object' && typeof json.op === 'string') {
+        return parseEnvelope(json);
+    }
+
+    return { op: 'broadcast', id: null, envelope: false, payload: json };
+}
+
+// Parse a message id (replay cursor or ack): a non-negative integer
+function parseLastId(value) {
+    const str = String(value);
+    if (!/^\d+$/.test(str)) return null;
+    const lastId = Number(str);
+    return Number.isSafeInteger(lastId) ? lastId : null;
+}
+
+// Parse: login username secret [filter1, filter2] [resume lastId]
+function parseLegacyLogin(message) {
+    const loginContent = message.substring(6).trim();
+    const loginMatch = loginContent.match(/^(\S+)(?:\s+([^\s\[]+))?\s*(?:\[([^\]]*)\])?(?:\s*resume\s+(\d+))?$/);
+
+    if (!loginMatch) {
+        return badRequest('login', null, false, ERROR_CODES.BAD_REQUEST,
+            'Invalid login format. Use: login <username> <secret> [source1, source2] [resume <lastMessageId>]');
+    }
+
+    return {
+        op: 'login',
+        id: null,
+        envelope: false,
+        payload: {
+            username: loginMatch[1],
+            secret: loginMatch[2],
+            sourceFilters: loginMatch[3] === undefined ? undefined : parseFilterList(loginMatch[3]),
+            resume: loginMatch[4] === undefined ? undefined : parseLastId(loginMatch[4])
+        }
+    };
+}
+
+// Validate a { v, op, id, payload } envelope and normalize its payload
+function parseEnvelope(json) {
+    const id = typeof json.id === 'string' || typeof json.id === 'number' ? json.id : null;
+
+    if (json.v !== undefined && json.v !== PROTOCOL_VERSION) {
+        return badRequest(json.op, id, true, ERROR_CODES.UNSUPPORTED_VERSION,
+            `Unsupported protocol version ${json.v}. Supported: ${PROTOCOL_VERSION}`);
+    }
+
+    if (!OPS.includes(json.op)) {
+        return badRequest(json.op, id, true, ERROR_CODES.UNKNOWN_COMMAND,
+            `Unknown op '${json.op}'. Available: ${OPS.join(', ')}`);
+    }
+
+    const payload = json.payload === undefined ? {} : json.payload;
+    if (payload === null || typeof payload !== 'object' || Array.isArray(payload)) {
+        return badRequest(json.op, id, true, ERROR_CODES.BAD_REQUEST, 'payload must be an object');
+    }
+
+    if (json.op === 'login') {
+        if (payload.filters !== undefined && !isFilterArray(payload.filters)) {
+            return badRequest('login', id, true, ERROR_CODES.BAD_REQUEST, 'payload.filters must be an array of strings');
+        }
+        const resume = payload.resume === undefined ? undefined : parseLastId(payload.resume);
+        if (resume === null) {
+            return badRequest('login', id, true, ERROR_CODES.BAD_REQUEST, 'payload.resume must be a message id');
+        }
+        return {
+            op: 'login',
+            id,
+            envelope: true,
+            payload: {
+                username: payload.username,
+                secret: payload.secret,
+                sourceFilters: payload.filters,
+                resume,
+                ack: payload.ack === true
+            }
+        };
+    }
+
+    if (json.op === 'subscribe' || json.op === 'unsubscribe') {
+        if (!isFilterArray(payload.filters) || payload.filters.length === 0) {
+            return badRequest(json.op, id, true, ERROR_CODES.BAD_REQUEST, 'payload.filters must be a non-empty array of strings');
+        }
+        return { op: json.op, id, envelope: true, payload: { filters: payload.filters } };
+    }
+
+    if (json.op === 'filters') {
+        // Without filters this just reports the current set
+        if (payload.filters !== undefined && !isFilterArray(payload.filters)) {
+            return badRequest('filters', id, true, ERROR_CODES.BAD_REQUEST, 'payload.filters must be an array of strings');
+        }
+        return { op: 'filters', id, envelope: true, payload: { filters: payload.filters } };
+    }
+
+    if (json.op === 'ack') {
+        const messageId = parseLastId(payload.messageId);
+        if (messageId === null) {
+            return badRequest('ack', id, true, ERROR_CODES.BAD_REQUEST, 'payload.messageId must be a message id');
+        }
+        return { op: 'ack', id, envelope: true, payload: { messageId } };
+    }
+
+    if (json.op === 'ack_mode') {
+        if (typeof payload.enabled !== 'boolean') {
+            return badRequest('ack_mode', id, true, ERROR_CODES.BAD_REQUEST, 'payload.enabled must be a boolean');
+        }
+        return { op: 'ack_mode', id, envelope: true, payload: { enabled: payload.enabled } };
+    }
+
+    if (json.op === 'resume') {
+        const lastId = parseLastId(payload.lastId);
+        if (lastId === null) {
+            return badRequest('resume', id, true, ERROR_CODES.BAD_REQUEST, 'payload.lastId must be a message id');
+        }
+        return { op: 'resume', id, envelope: true, payload: { lastId } };
+    }
+
+    if (json.op === 'admin') {
+        return {
+            op: 'admin',
+            id,
+            envelope: true,
+            payload: {
+                command: payload.command,
+                password: payload.password,
+                target: payload.target,
+                args: Array.isArray(payload.args) ? payload.args.map(String) : []
+            }
+        };
+    }
+
+    return { op: json.op, id, envelope: true, payload };
+}
+
+// Wrap an outgoing message in the v1 envelope (id is null for unsolicited pushes).
+// Envelope fields are applied last so a message field can never shadow the request id.
+function formatEnvelope(message, request = null) {
+    return {
+        ...message,
+        v: PROTOCOL_VERSION,
+        id: request ? request.id : null,
+        ok: message.type !== 'error'
+    };
+}
+
+module.exports = {
+    PROTOCOL_VERSION,
+    SUBPROTOCOL,
+    PROTOCOLS,
+    ERROR_CODES,
+    CommandError,
+    parseMessage,
+    parseFilterList,
+    formatEnvelope
+};
@@ -0,0 +1,135 @@
+// Token-bucket rate limiting. Every key (user + command class, source, ...) has a bucket holding up
+// to `burst` tokens that refills at `perMinute`; each request takes one token.
+
+// Command class each op is limited under. Acks are exempt: they are sent once per received
+// broadcast, so limiting them would make a busy receiver look like a flood.
+const COMMAND_CLASSES = {
+    login: 'login',
+    broadcast: 'broadcast',
+    admin: 'admin',
+    stats: 'stats',
+    resume: 'general',
+    subscribe: 'general',
+    unsubscribe: 'general',
+    filters: 'general',
+    ack_mode: 'general',
+    ack: null // exempt for logged-in sessions (server.js charges unauthenticated ones to general)
+};
+
+// Limits per role and command class. login is keyed by IP (there is no user yet).
+const DEFAULT_LIMITS = {
+    login: { perMinute: 10, burst: 5 },
+    general: { perMinute: 60, burst: 20 },
+    stats: { perMinute: 30, burst: 5 },
+    admin: { perMinute: 30, burst: 10 },
+    broadcast: { perMinute: 100, burst: 20 }
+};
+const DEFAULT_ROLE_LIMITS = {
+    owner: {
+        admin: { perMinute: 120, burst: 30 },
+        broadcast: { perMinute: 300, burst: 50 }
+    }
+};
+
+function isValidLimit(limit) {
+    return limit && Number.isFinite(limit.perMinute) && limit.perMinute >= 0 &&
+        Number.isInteger(limit.burst) && limit.burst >= 1;
+}
+
+// Parse a JSON setting (RATE_LIMITS / SOURCE_QUOTAS), throwing a readable error when it's malformed
+function parseLimitsJson(name, text) {
+    if (!text) return {};
+    try {
+        const value = JSON.parse(text);
+        if (value && typeof value === 'object' && !Array.isArray(value)) return value;
+    } catch (error) {
+        // fall through
+    }
+    throw new Error(`${name} must be a JSON object`);
+}
+
+// Build the role -> class -> limit table: defaults, then RATE_LIMITS overrides, e.g.
+// { "default": { "stats": { "perMinute": 60, "burst": 10 } }, "publisher": { "broadcast": { "perMinute": 200, "burst": 40 } } }
+function resolveRateLimits(overrides = {}) {
+    const limits = { default: { ...DEFAULT_LIMITS } };
+    for (const [role, classes] of Object.entries(DEFAULT_ROLE_LIMITS)) {
+        limits[role] = { ...classes };
+    }
+    for (const [role, classes] of Object.entries(overrides)) {
+        for (const [cls, limit] of Object.entries(classes || {})) {
+            if (!(cls in DEFAULT_LIMITS)) {
+                throw new Error(`RATE_LIMITS: unknown command class '${cls}' (use ${Object.keys(DEFAULT_LIMITS).join(', ')})`);
+            }
+            if (!isValidLimit(limit)) {
+                throw new Error(`RATE_LIMITS: ${role}.${cls} needs a perMinute >= 0 and an integer burst >= 1`);
+            }
+            limits[role] = { ...limits[role], [cls]: limit };
+        }
+    }
+    return limits;
+}
+
+// Per-source publish quotas from SOURCE_QUOTAS: { "news": { "perMinute": 30, "burst": 10 }, "*": ... }.
+// "*" applies to every source without its own entry (each source still gets its own bucket).
+function resolveSourceQuotas(config = {}) {
+    const quotas = {};
+    for (const [source, limit] of Object.entries(config)) {
+        if (!isValidLimit(limit)) {
+            throw new Error(`SOURCE_QUOTAS: '${source}' needs a perMinute >= 0 and an integer burst >= 1`);
+        }
+        quotas[source.toLowerCase()] = limit;
+    }
+    return quotas;
+}
+
+class TokenBucketLimiter {
+    constructor() {
+        this.buckets = new Map(); // key -> { tokens, updatedAt, perMinute, burst }
+    }
+
+    refill(key, { perMinute, burst }, now) {
+        let bucket = this.buckets.get(key);
+        if (!bucket) {
+            bucket = { tokens: burst, updatedAt: now, perMinute, burst };
+            this.buckets.set(key, bucket);
+        }
+        // Limits can change (role update, reload); the bucket keeps its level within the new size
+        bucket.perMinute = perMinute;
+        bucket.burst = burst;
+        bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.updatedAt) * perMinute / 60000);
+        bucket.updatedAt = now;
+        return bucket;
+    }
+
+    // Take one token from key's bucket. Returns { allowed: true } or { allowed: false, retryAfterMs }
+    // (retryAfterMs is null when the limit is 0 per minute and waiting won't help).
+    take(key, limit) {
+        const bucket = this.refill(key, limit, Date.now());
+        if (bucket.tokens >= 1) {
+            bucket.tokens -= 1;
+            return { allowed: true };
+        }
+        if (bucket.perMinute === 0) {
+            return { allowed: false, retryAfterMs: null };
+        }
+        return { allowed: false, retryAfterMs: Math.ceil((1 - bucket.tokens) * 60000 / bucket.perMinute) };
+    }
+
+    // Drop buckets that have refilled completely (they'd be recreated full anyway)
+    cleanup() {
+        const now = Date.now();
+        for (const [key, bucket] of this.buckets.entries()) {
+            if (bucket.tokens + (now - bucket.updatedAt) * bucket.perMinute / 60000 >= bucket.burst) {
+                this.buckets.delete(key);
+            }
+        }
+    }
+}
+
+module.exports = {
+    COMMAND_CLASSES,
+    TokenBucketLimiter,
+    parseLimitsJson,
+    resolveRateLimits,
+    resolveSourceQuotas
+};
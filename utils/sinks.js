@@ -0,0 +1,108 @@
+const logger = require('./logger');
+
+const SINK_KINDS = ['json', 'discord'];
+
+// Discord embed limits
+const DISCORD_TITLE_MAX = 256;
+
+// Build the request body for a sink: the broadcast as-is, or a Discord webhook embed
+function formatSinkPayload(kind, message) {
+    if (kind !== 'discord') {
+        return message;
+    }
+
+    const embed = {
+        title: message.title.substring(0, DISCORD_TITLE_MAX),
+        footer: { text: message.source },
+        timestamp: new Date(message.timestamp).toISOString()
+    };
+    if (message.url) embed.url = message.url;
+    if (message.icon) embed.thumbnail = { url: message.icon };
+    if (message.image) embed.image = { url: message.image };
+
+    return { embeds: [embed] };
+}
+
+// Forwards broadcasts to outbound webhooks with retry/backoff. Deliveries that
+// still fail after the last attempt are written to the dead-letter table.
+class SinkDispatcher {
+    constructor(db, { maxAttempts = 5, retryBaseMs = 1000, timeoutMs = 5000 } = {}) {
+        this.db = db;
+        this.maxAttempts = maxAttempts;
+        this.retryBaseMs = retryBaseMs;
+        this.timeoutMs = timeoutMs;
+        this.sinks = []; // active sinks, cached so the broadcast path never waits on the DB
+        this.retryTimers = new Set();
+    }
+
+    // (Re)load active sinks from the database
+    async load() {
+        this.sinks = await this.db.getActiveSinks();
+        return this.sinks;
+    }
+
+    // Fire-and-forget delivery of a formatted broadcast to every sink for its source
+    dispatch(message) {
+        const source = message.source.toLowerCase();
+        let dispatched = 0;
+        for (const sink of this.sinks) {
+            if (sink.source === '*' || sink.source === source) {
+                this.deliver(sink, message, 1);
+                dispatched++;
+            }
+        }
+        return dispatched;
+    }
+
+    async deliver(sink, message, attempt) {
+        let error, retryable, retryAfterMs;
+
+        try {
+            const response = await fetch(sink.url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(formatSinkPayload(sink.kind, message)),
+                signal: AbortSignal.timeout(this.timeoutMs)
+            });
+
+            if (response.ok) return;
+
+            error = `HTTP ${response.status}`;
+            // Client errors won't succeed on retry, except rate limiting
+            retryable = response.status === 429 || response.status >= 500;
+            const retryAfter = parseFloat(response.headers.get('retry-after'));
+            if (!isNaN(retryAfter)) retryAfterMs = retryAfter * 1000;
+        } catch (err) {
+            error = err.message;
+            retryable = true;
+        }
+
+        if (retryable && attempt < this.maxAttempts) {
+            // Exponential backoff: 1s, 2s, 4s, ... (or what the endpoint asked for)
+            const delay = retryAfterMs || this.retryBaseMs * 2 ** (attempt - 1);
+            const timer = setTimeout(() => {
+                this.retryTimers.delete(timer);
+                this.deliver(sink, message, attempt + 1);
+            }, delay);
+            this.retryTimers.add(timer);
+            return;
+        }
+
+        logger.warn('Sink delivery failed', { sinkId: sink.id, messageId: message.messageId, attempts: attempt, error });
+        await this.db.addDeadLetter(sink.id, message.messageId, message, error, attempt);
+    }
+
+    // Drop scheduled retries (shutdown)
+    stop() {
+        for (const timer of this.retryTimers) {
+            clearTimeout(timer);
+        }
+        this.retryTimers.clear();
+    }
+}
+
+module.exports = {
+    SINK_KINDS,
+    SinkDispatcher,
+    formatSinkPayload
+};
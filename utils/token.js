@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+
+const TOKEN_HEADER = { alg: 'HS256', typ: 'JWT' };
+
+function base64UrlJson(obj) {
+    return Buffer.from(JSON.stringify(obj)).toString('base64url');
+}
+
+function sign(data, secret) {
+    return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+// Sign claims into a compact HS256 JWT. Adds iat and exp (from ttlSeconds).
+function signToken(claims, secret, ttlSeconds) {
+    const now = Math.floor(Date.now() / 1000);
+    const payload = { ...claims, iat: now, exp: now + ttlSeconds };
+    const data = `${base64UrlJson(TOKEN_HEADER)}.${base64UrlJson(payload)}`;
+    return `${data}.${sign(data, secret)}`;
+}
+
+// Verify signature and expiry, returns { valid, claims } or { valid, error }
+function verifyToken(token, secret) {
+    if (typeof token !== 'string' || !secret) {
+        return { valid: false, error: 'Token missing' };
+    }
+
+    const parts = token.split('.');
+    if (parts.length !== 3) {
+        return { valid: false, error: 'Malformed token' };
+    }
+
+    const [headerPart, payloadPart, signaturePart] = parts;
+    const expected = Buffer.from(sign(`${headerPart}.${payloadPart}`, secret));
+    const actual = Buffer.from(signaturePart);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return { valid: false, error: 'Invalid signature' };
+    }
+
+    let header, claims;
+    try {
+        header = JSON.parse(Buffer.from(headerPart, 'base64url').toString());
+        claims = JSON.parse(Buffer.from(payloadPart, 'base64url').toString());
+    } catch (error) {
+        return { valid: false, error: 'Malformed token' };
+    }
+
+    if (header.alg !== TOKEN_HEADER.alg) {
+        return { valid: false, error: 'Unsupported algorithm' };
+    }
+
+    if (typeof claims.sub !== 'string' || typeof claims.exp !== 'number') {
+        return { valid: false, error: 'Missing required claims' };
+    }
+
+    if (claims.exp <= Math.floor(Date.now() / 1000)) {
+        return { valid: false, error: 'Token expired' };
+    }
+
+    return { valid: true, claims };
+}
+
+// Read a token from the upgrade request (?token=... or Authorization: Bearer ...)
+function extractToken(req) {
+    const auth = req.headers['authorization'];
+    if (auth && auth.startsWith('Bearer ')) {
+        return auth.substring(7).trim();
+    }
+
+    try {
+        const url = new URL(req.url, 'http://localhost');
+        return url.searchParams.get('token');
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = {
+    signToken,
+    verifyToken,
+    extractToken
+};
@@ -1,50 +1,3 @@
-class RateLimiter {
-    constructor(maxMessages = 10, windowMs = 60000) {
-        this.maxMessages = maxMessages;
-        this.windowMs = windowMs;
-        this.clients = new Map(); // clientId -> [timestamps]
-    }
-
-    tryAcquire(clientId) {
-        const now = Date.now();
-
-        if (!this.clients.has(clientId)) {
-            this.clients.set(clientId, [now]);
-            return true;
-        }
-
-        const timestamps = this.clients.get(clientId);
-
-        // Remove old timestamps outside the window
-        const validTimestamps = timestamps.filter(ts => now - ts < this.windowMs);
-
-        if (validTimestamps.length >= this.maxMessages) {
-            this.clients.set(clientId, validTimestamps);
-            return false;
-        }
-
-        validTimestamps.push(now);
-        this.clients.set(clientId, validTimestamps);
-        return true;
-    }
-
-    reset(clientId) {
-        this.clients.delete(clientId);
-    }
-
-    cleanup() {
-        const now = Date.now();
-        for (const [clientId, timestamps] of this.clients.entries()) {
-            const validTimestamps = timestamps.filter(ts => now - ts < this.windowMs);
-            if (validTimestamps.length === 0) {
-                this.clients.delete(clientId);
-            } else {
-                this.clients.set(clientId, validTimestamps);
-            }
-        }
-    }
-}
-
 // Validate broadcast message format
 function validateBroadcastMessage(data) {
     // Only title and source are required
@@ -139,7 +92,6 @@ function formatBroadcast(data) {
 }
 
 module.exports = {
-    RateLimiter,
     validateBroadcastMessage,
     validateUsername,
     sanitizeString,